@@ -1,3310 +0,0 @@
-var __defProp = Object.defineProperty;
-var __defProps = Object.defineProperties;
-var __getOwnPropDescs = Object.getOwnPropertyDescriptors;
-var __getOwnPropSymbols = Object.getOwnPropertySymbols;
-var __hasOwnProp = Object.prototype.hasOwnProperty;
-var __propIsEnum = Object.prototype.propertyIsEnumerable;
-var __defNormalProp = (obj, key, value) => key in obj ? __defProp(obj, key, { enumerable: true, configurable: true, writable: true, value }) : obj[key] = value;
-var __spreadValues = (a, b) => {
-  for (var prop in b || (b = {}))
-    if (__hasOwnProp.call(b, prop))
-      __defNormalProp(a, prop, b[prop]);
-  if (__getOwnPropSymbols)
-    for (var prop of __getOwnPropSymbols(b)) {
-      if (__propIsEnum.call(b, prop))
-        __defNormalProp(a, prop, b[prop]);
-    }
-  return a;
-};
-var __spreadProps = (a, b) => __defProps(a, __getOwnPropDescs(b));
-
-// src/generated/runtime.ts
-var defaultFetch = fetch;
-var BASE_PATH = "";
-var BaseAPI = class {
-  constructor(configuration, basePath = BASE_PATH, fetch2 = defaultFetch) {
-    this.basePath = basePath;
-    this.fetch = fetch2;
-    if (configuration) {
-      this.configuration = configuration;
-      this.basePath = configuration.basePath || this.basePath;
-    }
-  }
-};
-var RequiredError = class _RequiredError extends Error {
-  constructor(field, msg) {
-    super(msg);
-    this.field = field;
-    Object.setPrototypeOf(this, _RequiredError.prototype);
-    this.name = "RequiredError";
-  }
-};
-
-// src/generated/api.ts
-var ApiApiFetchParamCreator = function(configuration) {
-  return {
-    /**
-     * @summary Add
-     * @param {string} collectionId
-     * @param {Api.AddEmbedding} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    add(collectionId, request, options = {}) {
-      if (collectionId === null || collectionId === void 0) {
-        throw new RequiredError("collectionId", "Required parameter collectionId was null or undefined when calling add.");
-      }
-      if (request === null || request === void 0) {
-        throw new RequiredError("request", "Required parameter request was null or undefined when calling add.");
-      }
-      let localVarPath = `/api/v1/collections/{collection_id}/add`.replace("{collection_id}", encodeURIComponent(String(collectionId)));
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "POST" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarHeaderParameter.set("Content-Type", "application/json");
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      if (request !== void 0) {
-        localVarRequestOptions.body = JSON.stringify(request || {});
-      }
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Delete
-     * @param {string} collectionId
-     * @param {Api.DeleteEmbedding} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    aDelete(collectionId, request, options = {}) {
-      if (collectionId === null || collectionId === void 0) {
-        throw new RequiredError("collectionId", "Required parameter collectionId was null or undefined when calling aDelete.");
-      }
-      if (request === null || request === void 0) {
-        throw new RequiredError("request", "Required parameter request was null or undefined when calling aDelete.");
-      }
-      let localVarPath = `/api/v1/collections/{collection_id}/delete`.replace("{collection_id}", encodeURIComponent(String(collectionId)));
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "POST" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarHeaderParameter.set("Content-Type", "application/json");
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      if (request !== void 0) {
-        localVarRequestOptions.body = JSON.stringify(request || {});
-      }
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Get
-     * @param {string} collectionId
-     * @param {Api.GetEmbedding} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    aGet(collectionId, request, options = {}) {
-      if (collectionId === null || collectionId === void 0) {
-        throw new RequiredError("collectionId", "Required parameter collectionId was null or undefined when calling aGet.");
-      }
-      if (request === null || request === void 0) {
-        throw new RequiredError("request", "Required parameter request was null or undefined when calling aGet.");
-      }
-      let localVarPath = `/api/v1/collections/{collection_id}/get`.replace("{collection_id}", encodeURIComponent(String(collectionId)));
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "POST" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarHeaderParameter.set("Content-Type", "application/json");
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      if (request !== void 0) {
-        localVarRequestOptions.body = JSON.stringify(request || {});
-      }
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Count
-     * @param {string} collectionId
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    count(collectionId, options = {}) {
-      if (collectionId === null || collectionId === void 0) {
-        throw new RequiredError("collectionId", "Required parameter collectionId was null or undefined when calling count.");
-      }
-      let localVarPath = `/api/v1/collections/{collection_id}/count`.replace("{collection_id}", encodeURIComponent(String(collectionId)));
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "GET" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Count Collections
-     * @param {string} [tenant]
-     * @param {string} [database]
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    countCollections(tenant, database, options = {}) {
-      let localVarPath = `/api/v1/count_collections`;
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "GET" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      if (tenant !== void 0) {
-        localVarQueryParameter.append("tenant", String(tenant));
-      }
-      if (database !== void 0) {
-        localVarQueryParameter.append("database", String(database));
-      }
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Create Collection
-     * @param {string} [tenant]
-     * @param {string} [database]
-     * @param {Api.CreateCollection} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    createCollection(tenant, database, request, options = {}) {
-      if (request === null || request === void 0) {
-        throw new RequiredError("request", "Required parameter request was null or undefined when calling createCollection.");
-      }
-      let localVarPath = `/api/v1/collections`;
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "POST" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      if (tenant !== void 0) {
-        localVarQueryParameter.append("tenant", String(tenant));
-      }
-      if (database !== void 0) {
-        localVarQueryParameter.append("database", String(database));
-      }
-      localVarHeaderParameter.set("Content-Type", "application/json");
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      if (request !== void 0) {
-        localVarRequestOptions.body = JSON.stringify(request || {});
-      }
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Create Database
-     * @param {string} [tenant]
-     * @param {Api.CreateDatabase} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    createDatabase(tenant, request, options = {}) {
-      if (request === null || request === void 0) {
-        throw new RequiredError("request", "Required parameter request was null or undefined when calling createDatabase.");
-      }
-      let localVarPath = `/api/v1/databases`;
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "POST" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      if (tenant !== void 0) {
-        localVarQueryParameter.append("tenant", String(tenant));
-      }
-      localVarHeaderParameter.set("Content-Type", "application/json");
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      if (request !== void 0) {
-        localVarRequestOptions.body = JSON.stringify(request || {});
-      }
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Create Tenant
-     * @param {Api.CreateTenant} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    createTenant(request, options = {}) {
-      if (request === null || request === void 0) {
-        throw new RequiredError("request", "Required parameter request was null or undefined when calling createTenant.");
-      }
-      let localVarPath = `/api/v1/tenants`;
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "POST" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarHeaderParameter.set("Content-Type", "application/json");
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      if (request !== void 0) {
-        localVarRequestOptions.body = JSON.stringify(request || {});
-      }
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Delete Collection
-     * @param {string} collectionName
-     * @param {string} [tenant]
-     * @param {string} [database]
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    deleteCollection(collectionName, tenant, database, options = {}) {
-      if (collectionName === null || collectionName === void 0) {
-        throw new RequiredError("collectionName", "Required parameter collectionName was null or undefined when calling deleteCollection.");
-      }
-      let localVarPath = `/api/v1/collections/{collection_name}`.replace("{collection_name}", encodeURIComponent(String(collectionName)));
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "DELETE" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      if (tenant !== void 0) {
-        localVarQueryParameter.append("tenant", String(tenant));
-      }
-      if (database !== void 0) {
-        localVarQueryParameter.append("database", String(database));
-      }
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Get Collection
-     * @param {string} collectionName
-     * @param {string} [tenant]
-     * @param {string} [database]
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    getCollection(collectionName, tenant, database, options = {}) {
-      if (collectionName === null || collectionName === void 0) {
-        throw new RequiredError("collectionName", "Required parameter collectionName was null or undefined when calling getCollection.");
-      }
-      let localVarPath = `/api/v1/collections/{collection_name}`.replace("{collection_name}", encodeURIComponent(String(collectionName)));
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "GET" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      if (tenant !== void 0) {
-        localVarQueryParameter.append("tenant", String(tenant));
-      }
-      if (database !== void 0) {
-        localVarQueryParameter.append("database", String(database));
-      }
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Get Database
-     * @param {string} database
-     * @param {string} [tenant]
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    getDatabase(database, tenant, options = {}) {
-      if (database === null || database === void 0) {
-        throw new RequiredError("database", "Required parameter database was null or undefined when calling getDatabase.");
-      }
-      let localVarPath = `/api/v1/databases/{database}`.replace("{database}", encodeURIComponent(String(database)));
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "GET" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      if (tenant !== void 0) {
-        localVarQueryParameter.append("tenant", String(tenant));
-      }
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Get Nearest Neighbors
-     * @param {string} collectionId
-     * @param {Api.QueryEmbedding} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    getNearestNeighbors(collectionId, request, options = {}) {
-      if (collectionId === null || collectionId === void 0) {
-        throw new RequiredError("collectionId", "Required parameter collectionId was null or undefined when calling getNearestNeighbors.");
-      }
-      if (request === null || request === void 0) {
-        throw new RequiredError("request", "Required parameter request was null or undefined when calling getNearestNeighbors.");
-      }
-      let localVarPath = `/api/v1/collections/{collection_id}/query`.replace("{collection_id}", encodeURIComponent(String(collectionId)));
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "POST" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarHeaderParameter.set("Content-Type", "application/json");
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      if (request !== void 0) {
-        localVarRequestOptions.body = JSON.stringify(request || {});
-      }
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Get Tenant
-     * @param {string} tenant
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    getTenant(tenant, options = {}) {
-      if (tenant === null || tenant === void 0) {
-        throw new RequiredError("tenant", "Required parameter tenant was null or undefined when calling getTenant.");
-      }
-      let localVarPath = `/api/v1/tenants/{tenant}`.replace("{tenant}", encodeURIComponent(String(tenant)));
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "GET" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Heartbeat
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    heartbeat(options = {}) {
-      let localVarPath = `/api/v1/heartbeat`;
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "GET" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary List Collections
-     * @param {string} [tenant]
-     * @param {string} [database]
-     * @param {number} [limit]
-     * @param {number} [offset]
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    listCollections(tenant, database, limit, offset, options = {}) {
-      let localVarPath = `/api/v1/collections`;
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "GET" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      if (tenant !== void 0) {
-        localVarQueryParameter.append("tenant", String(tenant));
-      }
-      if (database !== void 0) {
-        localVarQueryParameter.append("database", String(database));
-      }
-      if (limit !== void 0) {
-        localVarQueryParameter.append("limit", String(limit));
-      }
-      if (offset !== void 0) {
-        localVarQueryParameter.append("offset", String(offset));
-      }
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Pre Flight Checks
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    preFlightChecks(options = {}) {
-      let localVarPath = `/api/v1/pre-flight-checks`;
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "GET" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Reset
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    reset(options = {}) {
-      let localVarPath = `/api/v1/reset`;
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "POST" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Root
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    root(options = {}) {
-      let localVarPath = `/api/v1`;
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "GET" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Update
-     * @param {string} collectionId
-     * @param {Api.UpdateEmbedding} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    update(collectionId, request, options = {}) {
-      if (collectionId === null || collectionId === void 0) {
-        throw new RequiredError("collectionId", "Required parameter collectionId was null or undefined when calling update.");
-      }
-      if (request === null || request === void 0) {
-        throw new RequiredError("request", "Required parameter request was null or undefined when calling update.");
-      }
-      let localVarPath = `/api/v1/collections/{collection_id}/update`.replace("{collection_id}", encodeURIComponent(String(collectionId)));
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "POST" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarHeaderParameter.set("Content-Type", "application/json");
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      if (request !== void 0) {
-        localVarRequestOptions.body = JSON.stringify(request || {});
-      }
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Update Collection
-     * @param {string} collectionId
-     * @param {Api.UpdateCollection} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    updateCollection(collectionId, request, options = {}) {
-      if (collectionId === null || collectionId === void 0) {
-        throw new RequiredError("collectionId", "Required parameter collectionId was null or undefined when calling updateCollection.");
-      }
-      if (request === null || request === void 0) {
-        throw new RequiredError("request", "Required parameter request was null or undefined when calling updateCollection.");
-      }
-      let localVarPath = `/api/v1/collections/{collection_id}`.replace("{collection_id}", encodeURIComponent(String(collectionId)));
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "PUT" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarHeaderParameter.set("Content-Type", "application/json");
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      if (request !== void 0) {
-        localVarRequestOptions.body = JSON.stringify(request || {});
-      }
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Upsert
-     * @param {string} collectionId
-     * @param {Api.AddEmbedding} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    upsert(collectionId, request, options = {}) {
-      if (collectionId === null || collectionId === void 0) {
-        throw new RequiredError("collectionId", "Required parameter collectionId was null or undefined when calling upsert.");
-      }
-      if (request === null || request === void 0) {
-        throw new RequiredError("request", "Required parameter request was null or undefined when calling upsert.");
-      }
-      let localVarPath = `/api/v1/collections/{collection_id}/upsert`.replace("{collection_id}", encodeURIComponent(String(collectionId)));
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "POST" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarHeaderParameter.set("Content-Type", "application/json");
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      if (request !== void 0) {
-        localVarRequestOptions.body = JSON.stringify(request || {});
-      }
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    },
-    /**
-     * @summary Version
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    version(options = {}) {
-      let localVarPath = `/api/v1/version`;
-      const localVarPathQueryStart = localVarPath.indexOf("?");
-      const localVarRequestOptions = Object.assign({ method: "GET" }, options);
-      const localVarHeaderParameter = options.headers ? new Headers(options.headers) : new Headers();
-      const localVarQueryParameter = new URLSearchParams(localVarPathQueryStart !== -1 ? localVarPath.substring(localVarPathQueryStart + 1) : "");
-      if (localVarPathQueryStart !== -1) {
-        localVarPath = localVarPath.substring(0, localVarPathQueryStart);
-      }
-      localVarRequestOptions.headers = localVarHeaderParameter;
-      const localVarQueryParameterString = localVarQueryParameter.toString();
-      if (localVarQueryParameterString) {
-        localVarPath += "?" + localVarQueryParameterString;
-      }
-      return {
-        url: localVarPath,
-        options: localVarRequestOptions
-      };
-    }
-  };
-};
-var ApiApiFp = function(configuration) {
-  return {
-    /**
-     * @summary Add
-     * @param {string} collectionId
-     * @param {Api.AddEmbedding} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    add(collectionId, request, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).add(collectionId, request, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 201) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Delete
-     * @param {string} collectionId
-     * @param {Api.DeleteEmbedding} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    aDelete(collectionId, request, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).aDelete(collectionId, request, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Get
-     * @param {string} collectionId
-     * @param {Api.GetEmbedding} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    aGet(collectionId, request, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).aGet(collectionId, request, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Count
-     * @param {string} collectionId
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    count(collectionId, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).count(collectionId, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Count Collections
-     * @param {string} [tenant]
-     * @param {string} [database]
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    countCollections(tenant, database, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).countCollections(tenant, database, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Create Collection
-     * @param {string} [tenant]
-     * @param {string} [database]
-     * @param {Api.CreateCollection} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    createCollection(tenant, database, request, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).createCollection(tenant, database, request, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Create Database
-     * @param {string} [tenant]
-     * @param {Api.CreateDatabase} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    createDatabase(tenant, request, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).createDatabase(tenant, request, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Create Tenant
-     * @param {Api.CreateTenant} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    createTenant(request, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).createTenant(request, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Delete Collection
-     * @param {string} collectionName
-     * @param {string} [tenant]
-     * @param {string} [database]
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    deleteCollection(collectionName, tenant, database, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).deleteCollection(collectionName, tenant, database, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Get Collection
-     * @param {string} collectionName
-     * @param {string} [tenant]
-     * @param {string} [database]
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    getCollection(collectionName, tenant, database, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).getCollection(collectionName, tenant, database, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Get Database
-     * @param {string} database
-     * @param {string} [tenant]
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    getDatabase(database, tenant, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).getDatabase(database, tenant, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Get Nearest Neighbors
-     * @param {string} collectionId
-     * @param {Api.QueryEmbedding} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    getNearestNeighbors(collectionId, request, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).getNearestNeighbors(collectionId, request, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Get Tenant
-     * @param {string} tenant
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    getTenant(tenant, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).getTenant(tenant, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Heartbeat
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    heartbeat(options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).heartbeat(options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary List Collections
-     * @param {string} [tenant]
-     * @param {string} [database]
-     * @param {number} [limit]
-     * @param {number} [offset]
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    listCollections(tenant, database, limit, offset, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).listCollections(tenant, database, limit, offset, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Pre Flight Checks
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    preFlightChecks(options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).preFlightChecks(options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Reset
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    reset(options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).reset(options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Root
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    root(options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).root(options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Update
-     * @param {string} collectionId
-     * @param {Api.UpdateEmbedding} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    update(collectionId, request, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).update(collectionId, request, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Update Collection
-     * @param {string} collectionId
-     * @param {Api.UpdateCollection} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    updateCollection(collectionId, request, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).updateCollection(collectionId, request, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Upsert
-     * @param {string} collectionId
-     * @param {Api.AddEmbedding} request
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    upsert(collectionId, request, options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).upsert(collectionId, request, options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          if (response.status === 422) {
-            if (mimeType === "application/json") {
-              throw response;
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    },
-    /**
-     * @summary Version
-     * @param {RequestInit} [options] Override http request option.
-     * @throws {RequiredError}
-     */
-    version(options) {
-      const localVarFetchArgs = ApiApiFetchParamCreator(configuration).version(options);
-      return (fetch2 = defaultFetch, basePath = BASE_PATH) => {
-        return fetch2(basePath + localVarFetchArgs.url, localVarFetchArgs.options).then((response) => {
-          const contentType = response.headers.get("Content-Type");
-          const mimeType = contentType ? contentType.replace(/;.*/, "") : void 0;
-          if (response.status === 200) {
-            if (mimeType === "application/json") {
-              return response.json();
-            }
-            throw response;
-          }
-          throw response;
-        });
-      };
-    }
-  };
-};
-var ApiApi = class extends BaseAPI {
-  /**
-   * @summary Add
-   * @param {string} collectionId
-   * @param {Api.AddEmbedding} request
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  add(collectionId, request, options) {
-    return ApiApiFp(this.configuration).add(collectionId, request, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Delete
-   * @param {string} collectionId
-   * @param {Api.DeleteEmbedding} request
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  aDelete(collectionId, request, options) {
-    return ApiApiFp(this.configuration).aDelete(collectionId, request, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Get
-   * @param {string} collectionId
-   * @param {Api.GetEmbedding} request
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  aGet(collectionId, request, options) {
-    return ApiApiFp(this.configuration).aGet(collectionId, request, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Count
-   * @param {string} collectionId
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  count(collectionId, options) {
-    return ApiApiFp(this.configuration).count(collectionId, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Count Collections
-   * @param {string} [tenant]
-   * @param {string} [database]
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  countCollections(tenant, database, options) {
-    return ApiApiFp(this.configuration).countCollections(tenant, database, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Create Collection
-   * @param {string} [tenant]
-   * @param {string} [database]
-   * @param {Api.CreateCollection} request
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  createCollection(tenant, database, request, options) {
-    return ApiApiFp(this.configuration).createCollection(tenant, database, request, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Create Database
-   * @param {string} [tenant]
-   * @param {Api.CreateDatabase} request
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  createDatabase(tenant, request, options) {
-    return ApiApiFp(this.configuration).createDatabase(tenant, request, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Create Tenant
-   * @param {Api.CreateTenant} request
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  createTenant(request, options) {
-    return ApiApiFp(this.configuration).createTenant(request, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Delete Collection
-   * @param {string} collectionName
-   * @param {string} [tenant]
-   * @param {string} [database]
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  deleteCollection(collectionName, tenant, database, options) {
-    return ApiApiFp(this.configuration).deleteCollection(collectionName, tenant, database, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Get Collection
-   * @param {string} collectionName
-   * @param {string} [tenant]
-   * @param {string} [database]
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  getCollection(collectionName, tenant, database, options) {
-    return ApiApiFp(this.configuration).getCollection(collectionName, tenant, database, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Get Database
-   * @param {string} database
-   * @param {string} [tenant]
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  getDatabase(database, tenant, options) {
-    return ApiApiFp(this.configuration).getDatabase(database, tenant, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Get Nearest Neighbors
-   * @param {string} collectionId
-   * @param {Api.QueryEmbedding} request
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  getNearestNeighbors(collectionId, request, options) {
-    return ApiApiFp(this.configuration).getNearestNeighbors(collectionId, request, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Get Tenant
-   * @param {string} tenant
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  getTenant(tenant, options) {
-    return ApiApiFp(this.configuration).getTenant(tenant, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Heartbeat
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  heartbeat(options) {
-    return ApiApiFp(this.configuration).heartbeat(options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary List Collections
-   * @param {string} [tenant]
-   * @param {string} [database]
-   * @param {number} [limit]
-   * @param {number} [offset]
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  listCollections(tenant, database, limit, offset, options) {
-    return ApiApiFp(this.configuration).listCollections(tenant, database, limit, offset, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Pre Flight Checks
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  preFlightChecks(options) {
-    return ApiApiFp(this.configuration).preFlightChecks(options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Reset
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  reset(options) {
-    return ApiApiFp(this.configuration).reset(options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Root
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  root(options) {
-    return ApiApiFp(this.configuration).root(options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Update
-   * @param {string} collectionId
-   * @param {Api.UpdateEmbedding} request
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  update(collectionId, request, options) {
-    return ApiApiFp(this.configuration).update(collectionId, request, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Update Collection
-   * @param {string} collectionId
-   * @param {Api.UpdateCollection} request
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  updateCollection(collectionId, request, options) {
-    return ApiApiFp(this.configuration).updateCollection(collectionId, request, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Upsert
-   * @param {string} collectionId
-   * @param {Api.AddEmbedding} request
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  upsert(collectionId, request, options) {
-    return ApiApiFp(this.configuration).upsert(collectionId, request, options)(this.fetch, this.basePath);
-  }
-  /**
-   * @summary Version
-   * @param {RequestInit} [options] Override http request option.
-   * @throws {RequiredError}
-   */
-  version(options) {
-    return ApiApiFp(this.configuration).version(options)(this.fetch, this.basePath);
-  }
-};
-
-// src/generated/models.ts
-var Api;
-((Api2) => {
-  let GetEmbedding;
-  ((GetEmbedding2) => {
-    let Include;
-    ((Include2) => {
-      let EnumValueEnum;
-      ((EnumValueEnum7) => {
-        EnumValueEnum7["Documents"] = "documents";
-      })(EnumValueEnum = Include2.EnumValueEnum || (Include2.EnumValueEnum = {}));
-      let EnumValueEnum2;
-      ((EnumValueEnum22) => {
-        EnumValueEnum22["Embeddings"] = "embeddings";
-      })(EnumValueEnum2 = Include2.EnumValueEnum2 || (Include2.EnumValueEnum2 = {}));
-      let EnumValueEnum3;
-      ((EnumValueEnum32) => {
-        EnumValueEnum32["Metadatas"] = "metadatas";
-      })(EnumValueEnum3 = Include2.EnumValueEnum3 || (Include2.EnumValueEnum3 = {}));
-      let EnumValueEnum4;
-      ((EnumValueEnum42) => {
-        EnumValueEnum42["Distances"] = "distances";
-      })(EnumValueEnum4 = Include2.EnumValueEnum4 || (Include2.EnumValueEnum4 = {}));
-      let EnumValueEnum5;
-      ((EnumValueEnum52) => {
-        EnumValueEnum52["Uris"] = "uris";
-      })(EnumValueEnum5 = Include2.EnumValueEnum5 || (Include2.EnumValueEnum5 = {}));
-      let EnumValueEnum6;
-      ((EnumValueEnum62) => {
-        EnumValueEnum62["Data"] = "data";
-      })(EnumValueEnum6 = Include2.EnumValueEnum6 || (Include2.EnumValueEnum6 = {}));
-    })(Include = GetEmbedding2.Include || (GetEmbedding2.Include = {}));
-  })(GetEmbedding = Api2.GetEmbedding || (Api2.GetEmbedding = {}));
-  let QueryEmbedding;
-  ((QueryEmbedding2) => {
-    let Include;
-    ((Include2) => {
-      let EnumValueEnum;
-      ((EnumValueEnum7) => {
-        EnumValueEnum7["Documents"] = "documents";
-      })(EnumValueEnum = Include2.EnumValueEnum || (Include2.EnumValueEnum = {}));
-      let EnumValueEnum2;
-      ((EnumValueEnum22) => {
-        EnumValueEnum22["Embeddings"] = "embeddings";
-      })(EnumValueEnum2 = Include2.EnumValueEnum2 || (Include2.EnumValueEnum2 = {}));
-      let EnumValueEnum3;
-      ((EnumValueEnum32) => {
-        EnumValueEnum32["Metadatas"] = "metadatas";
-      })(EnumValueEnum3 = Include2.EnumValueEnum3 || (Include2.EnumValueEnum3 = {}));
-      let EnumValueEnum4;
-      ((EnumValueEnum42) => {
-        EnumValueEnum42["Distances"] = "distances";
-      })(EnumValueEnum4 = Include2.EnumValueEnum4 || (Include2.EnumValueEnum4 = {}));
-      let EnumValueEnum5;
-      ((EnumValueEnum52) => {
-        EnumValueEnum52["Uris"] = "uris";
-      })(EnumValueEnum5 = Include2.EnumValueEnum5 || (Include2.EnumValueEnum5 = {}));
-      let EnumValueEnum6;
-      ((EnumValueEnum62) => {
-        EnumValueEnum62["Data"] = "data";
-      })(EnumValueEnum6 = Include2.EnumValueEnum6 || (Include2.EnumValueEnum6 = {}));
-    })(Include = QueryEmbedding2.Include || (QueryEmbedding2.Include = {}));
-  })(QueryEmbedding = Api2.QueryEmbedding || (Api2.QueryEmbedding = {}));
-})(Api || (Api = {}));
-
-// src/generated/configuration.ts
-var Configuration = class {
-  constructor(param = {}) {
-    this.apiKey = param.apiKey;
-    this.username = param.username;
-    this.password = param.password;
-    this.authorization = param.authorization;
-    this.basePath = param.basePath;
-  }
-};
-
-// src/utils.ts
-function toArray(obj) {
-  if (Array.isArray(obj)) {
-    return obj;
-  } else {
-    return [obj];
-  }
-}
-function toArrayOfArrays(obj) {
-  if (Array.isArray(obj[0])) {
-    return obj;
-  } else {
-    return [obj];
-  }
-}
-function repack(value) {
-  if (Boolean(value) && typeof value === "object") {
-    if (Array.isArray(value)) {
-      return new Array(...value);
-    } else {
-      return __spreadValues({}, value);
-    }
-  } else {
-    return value;
-  }
-}
-async function handleError(error) {
-  if (error instanceof Response) {
-    try {
-      const res = await error.json();
-      if ("error" in res) {
-        return { error: res.error };
-      }
-    } catch (e) {
-      return {
-        error: e && typeof e === "object" && "message" in e ? e.message : "unknown error"
-      };
-    }
-  }
-  return { error };
-}
-async function handleSuccess(response) {
-  switch (true) {
-    case response instanceof Response:
-      return repack(await response.json());
-    case typeof response === "string":
-      return repack(response);
-    default:
-      return repack(response);
-  }
-}
-async function validateTenantDatabase(adminClient, tenant, database) {
-  try {
-    await adminClient.getTenant({ name: tenant });
-  } catch (error) {
-    throw new Error(`Error: ${error}, Could not connect to tenant ${tenant}. Are you sure it exists?`);
-  }
-  try {
-    await adminClient.getDatabase({ name: database, tenantName: tenant });
-  } catch (error) {
-    throw new Error(`Error: ${error}, Could not connect to database ${database} for tenant ${tenant}. Are you sure it exists?`);
-  }
-}
-
-// src/Collection.ts
-var Collection = class {
-  /**
-   * @ignore
-   */
-  constructor(name, id, api, metadata, embeddingFunction) {
-    this.name = name;
-    this.id = id;
-    this.metadata = metadata;
-    this.api = api;
-    if (embeddingFunction !== void 0)
-      this.embeddingFunction = embeddingFunction;
-  }
-  /**
-   * @ignore
-   */
-  setName(name) {
-    this.name = name;
-  }
-  /**
-   * @ignore
-   */
-  setMetadata(metadata) {
-    this.metadata = metadata;
-  }
-  /**
-   * @ignore
-   */
-  async validate(require_embeddings_or_documents, ids, embeddings, metadatas, documents) {
-    if (require_embeddings_or_documents) {
-      if (embeddings === void 0 && documents === void 0) {
-        throw new Error(
-          "embeddings and documents cannot both be undefined"
-        );
-      }
-    }
-    if (embeddings === void 0 && documents !== void 0) {
-      const documentsArray2 = toArray(documents);
-      if (this.embeddingFunction !== void 0) {
-        embeddings = await this.embeddingFunction.generate(documentsArray2);
-      } else {
-        throw new Error(
-          "embeddingFunction is undefined. Please configure an embedding function"
-        );
-      }
-    }
-    if (embeddings === void 0)
-      throw new Error("embeddings is undefined but shouldnt be");
-    const idsArray = toArray(ids);
-    const embeddingsArray = toArrayOfArrays(embeddings);
-    let metadatasArray;
-    if (metadatas === void 0) {
-      metadatasArray = void 0;
-    } else {
-      metadatasArray = toArray(metadatas);
-    }
-    let documentsArray;
-    if (documents === void 0) {
-      documentsArray = void 0;
-    } else {
-      documentsArray = toArray(documents);
-    }
-    for (let i = 0; i < idsArray.length; i += 1) {
-      if (typeof idsArray[i] !== "string") {
-        throw new Error(
-          `Expected ids to be strings, found ${typeof idsArray[i]} at index ${i}`
-        );
-      }
-    }
-    if (embeddingsArray !== void 0 && idsArray.length !== embeddingsArray.length || metadatasArray !== void 0 && idsArray.length !== metadatasArray.length || documentsArray !== void 0 && idsArray.length !== documentsArray.length) {
-      throw new Error(
-        "ids, embeddings, metadatas, and documents must all be the same length"
-      );
-    }
-    const uniqueIds = new Set(idsArray);
-    if (uniqueIds.size !== idsArray.length) {
-      const duplicateIds = idsArray.filter((item, index) => idsArray.indexOf(item) !== index);
-      throw new Error(
-        `Expected IDs to be unique, found duplicates for: ${duplicateIds}`
-      );
-    }
-    return [idsArray, embeddingsArray, metadatasArray, documentsArray];
-  }
-  /**
-   * Add items to the collection
-   * @param {Object} params - The parameters for the query.
-   * @param {ID | IDs} [params.ids] - IDs of the items to add.
-   * @param {Embedding | Embeddings} [params.embeddings] - Optional embeddings of the items to add.
-   * @param {Metadata | Metadatas} [params.metadatas] - Optional metadata of the items to add.
-   * @param {Document | Documents} [params.documents] - Optional documents of the items to add.
-  * @returns {Promise<AddResponse>} - The response from the API. True if successful.
-   *
-   * @example
-   * ```typescript
-   * const response = await collection.add({
-   *   ids: ["id1", "id2"],
-   *   embeddings: [[1, 2, 3], [4, 5, 6]],
-   *   metadatas: [{ "key": "value" }, { "key": "value" }],
-   *   documents: ["document1", "document2"]
-   * });
-   * ```
-   */
-  async add({
-    ids,
-    embeddings,
-    metadatas,
-    documents
-  }) {
-    const [idsArray, embeddingsArray, metadatasArray, documentsArray] = await this.validate(
-      true,
-      ids,
-      embeddings,
-      metadatas,
-      documents
-    );
-    const response = await this.api.add(
-      this.id,
-      {
-        // @ts-ignore
-        ids: idsArray,
-        embeddings: embeddingsArray,
-        // We know this is defined because of the validate function
-        // @ts-ignore
-        documents: documentsArray,
-        // @ts-ignore
-        metadatas: metadatasArray
-      },
-      this.api.options
-    ).then(handleSuccess).catch(handleError);
-    return response;
-  }
-  /**
-   * Upsert items to the collection
-   * @param {Object} params - The parameters for the query.
-   * @param {ID | IDs} [params.ids] - IDs of the items to add.
-   * @param {Embedding | Embeddings} [params.embeddings] - Optional embeddings of the items to add.
-   * @param {Metadata | Metadatas} [params.metadatas] - Optional metadata of the items to add.
-   * @param {Document | Documents} [params.documents] - Optional documents of the items to add.
-   * @returns {Promise<boolean>} - The response from the API. True if successful.
-   *
-   * @example
-   * ```typescript
-   * const response = await collection.upsert({
-   *   ids: ["id1", "id2"],
-   *   embeddings: [[1, 2, 3], [4, 5, 6]],
-   *   metadatas: [{ "key": "value" }, { "key": "value" }],
-   *   documents: ["document1", "document2"],
-   * });
-   * ```
-   */
-  async upsert({
-    ids,
-    embeddings,
-    metadatas,
-    documents
-  }) {
-    const [idsArray, embeddingsArray, metadatasArray, documentsArray] = await this.validate(
-      true,
-      ids,
-      embeddings,
-      metadatas,
-      documents
-    );
-    const response = await this.api.upsert(
-      this.id,
-      {
-        //@ts-ignore
-        ids: idsArray,
-        embeddings: embeddingsArray,
-        // We know this is defined because of the validate function
-        //@ts-ignore
-        documents: documentsArray,
-        //@ts-ignore
-        metadatas: metadatasArray
-      },
-      this.api.options
-    ).then(handleSuccess).catch(handleError);
-    return response;
-  }
-  /**
-   * Count the number of items in the collection
-   * @returns {Promise<number>} - The response from the API.
-   *
-   * @example
-   * ```typescript
-   * const response = await collection.count();
-   * ```
-   */
-  async count() {
-    const response = await this.api.count(this.id, this.api.options);
-    return handleSuccess(response);
-  }
-  /**
-   * Modify the collection name or metadata
-   * @param {Object} params - The parameters for the query.
-   * @param {string} [params.name] - Optional new name for the collection.
-   * @param {CollectionMetadata} [params.metadata] - Optional new metadata for the collection.
-   * @returns {Promise<void>} - The response from the API.
-   *
-   * @example
-   * ```typescript
-   * const response = await collection.modify({
-   *   name: "new name",
-   *   metadata: { "key": "value" },
-   * });
-   * ```
-   */
-  async modify({
-    name,
-    metadata
-  } = {}) {
-    const response = await this.api.updateCollection(
-      this.id,
-      {
-        new_name: name,
-        new_metadata: metadata
-      },
-      this.api.options
-    ).then(handleSuccess).catch(handleError);
-    this.setName(name || this.name);
-    this.setMetadata(metadata || this.metadata);
-    return response;
-  }
-  /**
-   * Get items from the collection
-   * @param {Object} params - The parameters for the query.
-   * @param {ID | IDs} [params.ids] - Optional IDs of the items to get.
-   * @param {Where} [params.where] - Optional where clause to filter items by.
-   * @param {PositiveInteger} [params.limit] - Optional limit on the number of items to get.
-   * @param {PositiveInteger} [params.offset] - Optional offset on the items to get.
-   * @param {IncludeEnum[]} [params.include] - Optional list of items to include in the response.
-   * @param {WhereDocument} [params.whereDocument] - Optional where clause to filter items by.
-   * @returns {Promise<GetResponse>} - The response from the server.
-   *
-   * @example
-   * ```typescript
-   * const response = await collection.get({
-   *   ids: ["id1", "id2"],
-   *   where: { "key": "value" },
-   *   limit: 10,
-   *   offset: 0,
-   *   include: ["embeddings", "metadatas", "documents"],
-   *   whereDocument: { $contains: "value" },
-   * });
-   * ```
-   */
-  async get({
-    ids,
-    where,
-    limit,
-    offset,
-    include,
-    whereDocument
-  } = {}) {
-    let idsArray = void 0;
-    if (ids !== void 0)
-      idsArray = toArray(ids);
-    return await this.api.aGet(this.id, {
-      ids: idsArray,
-      where,
-      limit,
-      offset,
-      //@ts-ignore
-      include,
-      where_document: whereDocument
-    }, this.api.options).then(handleSuccess).catch(handleError);
-  }
-  /**
-   * Update the embeddings, documents, and/or metadatas of existing items
-   * @param {Object} params - The parameters for the query.
-   * @param {ID | IDs} [params.ids] - The IDs of the items to update.
-   * @param {Embedding | Embeddings} [params.embeddings] - Optional embeddings to update.
-   * @param {Metadata | Metadatas} [params.metadatas] - Optional metadatas to update.
-   * @param {Document | Documents} [params.documents] - Optional documents to update.
-   * @returns {Promise<boolean>} - The API Response. True if successful. Else, error.
-   *
-   * @example
-   * ```typescript
-   * const response = await collection.update({
-   *   ids: ["id1", "id2"],
-   *   embeddings: [[1, 2, 3], [4, 5, 6]],
-   *   metadatas: [{ "key": "value" }, { "key": "value" }],
-   *   documents: ["new document 1", "new document 2"],
-   * });
-   * ```
-   */
-  async update({
-    ids,
-    embeddings,
-    metadatas,
-    documents
-  }) {
-    if (embeddings === void 0 && documents === void 0 && metadatas === void 0) {
-      throw new Error(
-        "embeddings, documents, and metadatas cannot all be undefined"
-      );
-    } else if (embeddings === void 0 && documents !== void 0) {
-      const documentsArray = toArray(documents);
-      if (this.embeddingFunction !== void 0) {
-        embeddings = await this.embeddingFunction.generate(documentsArray);
-      } else {
-        throw new Error(
-          "embeddingFunction is undefined. Please configure an embedding function"
-        );
-      }
-    }
-    if (metadatas !== void 0)
-      metadatas = toArray(metadatas);
-    if (documents !== void 0)
-      documents = toArray(documents);
-    var resp = await this.api.update(
-      this.id,
-      {
-        ids: toArray(ids),
-        embeddings: embeddings ? toArrayOfArrays(embeddings) : void 0,
-        documents,
-        metadatas
-      },
-      this.api.options
-    ).then(handleSuccess).catch(handleError);
-    return resp;
-  }
-  /**
-   * Performs a query on the collection using the specified parameters.
-   *
-   * @param {Object} params - The parameters for the query.
-   * @param {Embedding | Embeddings} [params.queryEmbeddings] - Optional query embeddings to use for the search.
-   * @param {PositiveInteger} [params.nResults] - Optional number of results to return (default is 10).
-   * @param {Where} [params.where] - Optional query condition to filter results based on metadata values.
-   * @param {string | string[]} [params.queryTexts] - Optional query text(s) to search for in the collection.
-   * @param {WhereDocument} [params.whereDocument] - Optional query condition to filter results based on document content.
-   * @param {IncludeEnum[]} [params.include] - Optional array of fields to include in the result, such as "metadata" and "document".
-   *
-   * @returns {Promise<QueryResponse>} A promise that resolves to the query results.
-   * @throws {Error} If there is an issue executing the query.
-   * @example
-   * // Query the collection using embeddings
-   * const results = await collection.query({
-   *   queryEmbeddings: [[0.1, 0.2, ...], ...],
-   *   nResults: 10,
-   *   where: {"name": {"$eq": "John Doe"}},
-   *   include: ["metadata", "document"]
-   * });
-   * @example
-   * ```js
-   * // Query the collection using query text
-   * const results = await collection.query({
-   *   queryTexts: "some text",
-   *   nResults: 10,
-   *   where: {"name": {"$eq": "John Doe"}},
-   *   include: ["metadata", "document"]
-   * });
-   * ```
-   *
-   */
-  async query({
-    queryEmbeddings,
-    nResults,
-    where,
-    queryTexts,
-    whereDocument,
-    include
-  }) {
-    if (nResults === void 0)
-      nResults = 10;
-    if (queryEmbeddings === void 0 && queryTexts === void 0) {
-      throw new Error(
-        "queryEmbeddings and queryTexts cannot both be undefined"
-      );
-    } else if (queryEmbeddings === void 0 && queryTexts !== void 0) {
-      const queryTextsArray = toArray(queryTexts);
-      if (this.embeddingFunction !== void 0) {
-        queryEmbeddings = await this.embeddingFunction.generate(queryTextsArray);
-      } else {
-        throw new Error(
-          "embeddingFunction is undefined. Please configure an embedding function"
-        );
-      }
-    }
-    if (queryEmbeddings === void 0)
-      throw new Error("embeddings is undefined but shouldnt be");
-    const query_embeddingsArray = toArrayOfArrays(queryEmbeddings);
-    return await this.api.getNearestNeighbors(this.id, {
-      query_embeddings: query_embeddingsArray,
-      where,
-      n_results: nResults,
-      where_document: whereDocument,
-      //@ts-ignore
-      include
-    }, this.api.options).then(handleSuccess).catch(handleError);
-  }
-  /**
-   * Peek inside the collection
-   * @param {Object} params - The parameters for the query.
-   * @param {PositiveInteger} [params.limit] - Optional number of results to return (default is 10).
-   * @returns {Promise<GetResponse>} A promise that resolves to the query results.
-   * @throws {Error} If there is an issue executing the query.
-   *
-   * @example
-   * ```typescript
-   * const results = await collection.peek({
-   *   limit: 10
-   * });
-   * ```
-   */
-  async peek({ limit } = {}) {
-    if (limit === void 0)
-      limit = 10;
-    const response = await this.api.aGet(this.id, {
-      limit
-    }, this.api.options);
-    return handleSuccess(response);
-  }
-  /**
-   * Deletes items from the collection.
-   * @param {Object} params - The parameters for deleting items from the collection.
-   * @param {ID | IDs} [params.ids] - Optional ID or array of IDs of items to delete.
-   * @param {Where} [params.where] - Optional query condition to filter items to delete based on metadata values.
-   * @param {WhereDocument} [params.whereDocument] - Optional query condition to filter items to delete based on document content.
-   * @returns {Promise<string[]>} A promise that resolves to the IDs of the deleted items.
-   * @throws {Error} If there is an issue deleting items from the collection.
-   *
-   * @example
-   * ```typescript
-   * const results = await collection.delete({
-   *   ids: "some_id",
-   *   where: {"name": {"$eq": "John Doe"}},
-   *   whereDocument: {"$contains":"search_string"}
-   * });
-   * ```
-   */
-  async delete({
-    ids,
-    where,
-    whereDocument
-  } = {}) {
-    let idsArray = void 0;
-    if (ids !== void 0)
-      idsArray = toArray(ids);
-    return await this.api.aDelete(this.id, { ids: idsArray, where, where_document: whereDocument }, this.api.options).then(handleSuccess).catch(handleError);
-  }
-};
-
-// src/auth.ts
-var SecretStr = class {
-  constructor(secret) {
-    this.secret = secret;
-  }
-  getSecret() {
-    return this.secret;
-  }
-};
-var base64Encode = (str) => {
-  return Buffer.from(str).toString("base64");
-};
-var BasicAuthCredentials = class {
-  constructor(_creds) {
-    this.credentials = new SecretStr(base64Encode(_creds));
-  }
-  getCredentials() {
-    return this.credentials;
-  }
-};
-var BasicAuthClientAuthResponse = class {
-  constructor(credentials) {
-    this.credentials = credentials;
-  }
-  getAuthInfo() {
-    return { key: "Authorization", value: "Basic " + this.credentials.getCredentials().getSecret() };
-  }
-  getAuthInfoType() {
-    return "header" /* HEADER */;
-  }
-};
-var BasicAuthCredentialsProvider = class {
-  /**
-   * Creates a new BasicAuthCredentialsProvider. This provider loads credentials from provided text credentials or from the environment variable CHROMA_CLIENT_AUTH_CREDENTIALS.
-   * @param _creds - The credentials
-   * @throws {Error} If neither credentials provider or text credentials are supplied.
-   */
-  constructor(_creds) {
-    if (_creds === void 0 && !process.env.CHROMA_CLIENT_AUTH_CREDENTIALS)
-      throw new Error("Credentials must be supplied via environment variable (CHROMA_CLIENT_AUTH_CREDENTIALS) or passed in as configuration.");
-    this.credentials = new BasicAuthCredentials(_creds != null ? _creds : process.env.CHROMA_CLIENT_AUTH_CREDENTIALS);
-  }
-  getCredentials() {
-    return this.credentials;
-  }
-};
-var BasicAuthClientAuthProvider = class {
-  /**
-   * Creates a new BasicAuthClientAuthProvider.
-   * @param options - The options for the authentication provider.
-   * @param options.textCredentials - The credentials for the authentication provider.
-   * @param options.credentialsProvider - The credentials provider for the authentication provider.
-   * @throws {Error} If neither credentials provider or text credentials are supplied.
-   */
-  constructor(options) {
-    if (!options.credentialsProvider && !options.textCredentials) {
-      throw new Error("Either credentials provider or text credentials must be supplied.");
-    }
-    this.credentialsProvider = options.credentialsProvider || new BasicAuthCredentialsProvider(options.textCredentials);
-  }
-  authenticate() {
-    return new BasicAuthClientAuthResponse(this.credentialsProvider.getCredentials());
-  }
-};
-var TokenAuthCredentials = class {
-  constructor(_creds) {
-    this.credentials = new SecretStr(_creds);
-  }
-  getCredentials() {
-    return this.credentials;
-  }
-};
-var TokenCredentialsProvider = class {
-  constructor(_creds) {
-    if (_creds === void 0 && !process.env.CHROMA_CLIENT_AUTH_CREDENTIALS)
-      throw new Error("Credentials must be supplied via environment variable (CHROMA_CLIENT_AUTH_CREDENTIALS) or passed in as configuration.");
-    this.credentials = new TokenAuthCredentials(_creds != null ? _creds : process.env.CHROMA_CLIENT_AUTH_CREDENTIALS);
-  }
-  getCredentials() {
-    return this.credentials;
-  }
-};
-var TokenClientAuthProvider = class {
-  constructor(options) {
-    if (!options.credentialsProvider && !options.textCredentials) {
-      throw new Error("Either credentials provider or text credentials must be supplied.");
-    }
-    if (options.providerOptions === void 0 || !options.providerOptions.hasOwnProperty("headerType")) {
-      this.providerOptions = { headerType: "AUTHORIZATION" };
-    } else {
-      this.providerOptions = { headerType: options.providerOptions.headerType };
-    }
-    this.credentialsProvider = options.credentialsProvider || new TokenCredentialsProvider(options.textCredentials);
-  }
-  authenticate() {
-    return new TokenClientAuthResponse(this.credentialsProvider.getCredentials(), this.providerOptions.headerType);
-  }
-};
-var TokenHeader = {
-  AUTHORIZATION: (value) => ({ key: "Authorization", value: `Bearer ${value}` }),
-  X_CHROMA_TOKEN: (value) => ({ key: "X-Chroma-Token", value })
-};
-var TokenClientAuthResponse = class {
-  constructor(credentials, headerType = "AUTHORIZATION") {
-    this.credentials = credentials;
-    this.headerType = headerType;
-  }
-  getAuthInfo() {
-    if (this.headerType === "AUTHORIZATION") {
-      return TokenHeader.AUTHORIZATION(this.credentials.getCredentials().getSecret());
-    } else if (this.headerType === "X_CHROMA_TOKEN") {
-      return TokenHeader.X_CHROMA_TOKEN(this.credentials.getCredentials().getSecret());
-    } else {
-      throw new Error("Invalid header type: " + this.headerType + ". Valid types are: " + Object.keys(TokenHeader).join(", "));
-    }
-  }
-  getAuthInfoType() {
-    return "header" /* HEADER */;
-  }
-};
-var IsomorphicFetchClientAuthProtocolAdapter = class {
-  /**
-   * Creates a new adapter of IsomorphicFetchClientAuthProtocolAdapter.
-   * @param api - The API to wrap.
-   * @param authConfiguration - The configuration for the authentication provider.
-   */
-  constructor(api, authConfiguration) {
-    this.api = api;
-    switch (authConfiguration.provider) {
-      case "basic":
-        this.authProvider = new BasicAuthClientAuthProvider({
-          textCredentials: authConfiguration.credentials,
-          credentialsProvider: authConfiguration.credentialsProvider
-        });
-        break;
-      case "token":
-        this.authProvider = new TokenClientAuthProvider({
-          textCredentials: authConfiguration.credentials,
-          credentialsProvider: authConfiguration.credentialsProvider,
-          providerOptions: authConfiguration.providerOptions
-        });
-        break;
-      default:
-        this.authProvider = void 0;
-        break;
-    }
-    if (this.authProvider !== void 0) {
-      this.wrapperApi = this.wrapMethods(this.api);
-    }
-  }
-  getApi() {
-    var _a;
-    return (_a = this.wrapperApi) != null ? _a : this.api;
-  }
-  getAllMethods(obj) {
-    let methods = [];
-    let currentObj = obj;
-    do {
-      const objMethods = Object.getOwnPropertyNames(currentObj).filter((name) => typeof currentObj[name] === "function" && name !== "constructor");
-      methods = methods.concat(objMethods);
-      currentObj = Object.getPrototypeOf(currentObj);
-    } while (currentObj);
-    return methods;
-  }
-  wrapMethods(obj) {
-    let self = this;
-    const methodNames = Object.getOwnPropertyNames(Object.getPrototypeOf(obj)).filter((name) => typeof obj[name] === "function" && name !== "constructor");
-    return new Proxy(obj, {
-      get(target, prop) {
-        if (methodNames.includes(prop)) {
-          return new Proxy(target[prop], {
-            apply(fn, thisArg, args) {
-              const modifiedArgs = args.map((arg) => {
-                if (arg && typeof arg === "object" && "method" in arg) {
-                  return self.injectCredentials(arg);
-                }
-                return arg;
-              });
-              if (Object.keys(modifiedArgs[modifiedArgs.length - 1]).length === 0) {
-                modifiedArgs[modifiedArgs.length - 1] = self.injectCredentials({});
-              } else {
-                modifiedArgs[modifiedArgs.length - 1] = self.injectCredentials(modifiedArgs[modifiedArgs.length - 1]);
-              }
-              return fn.apply(thisArg, modifiedArgs);
-            }
-          });
-        }
-        return target[prop];
-      }
-    });
-  }
-  injectCredentials(injectionContext) {
-    var _a;
-    const authInfo = (_a = this.authProvider) == null ? void 0 : _a.authenticate().getAuthInfo();
-    if (authInfo) {
-      const { key, value } = authInfo;
-      injectionContext = __spreadProps(__spreadValues({}, injectionContext), {
-        headers: {
-          [key]: value
-        }
-      });
-    }
-    return injectionContext;
-  }
-};
-
-// src/embeddings/DefaultEmbeddingFunction.ts
-var TransformersApi;
-var DefaultEmbeddingFunction = class _DefaultEmbeddingFunction {
-  /**
-   * DefaultEmbeddingFunction constructor.
-   * @param options The configuration options.
-   * @param options.model The model to use to calculate embeddings. Defaults to 'Xenova/all-MiniLM-L6-v2', which is an ONNX port of `sentence-transformers/all-MiniLM-L6-v2`.
-   * @param options.revision The specific model version to use (can be a branch, tag name, or commit id). Defaults to 'main'.
-   * @param options.quantized Whether to load the 8-bit quantized version of the model. Defaults to `false`.
-   * @param options.progress_callback If specified, this function will be called during model construction, to provide the user with progress updates.
-   */
-  constructor({
-    model = "Xenova/all-MiniLM-L6-v2",
-    revision = "main",
-    quantized = false,
-    progress_callback = null
-  } = {}) {
-    this.model = model;
-    this.revision = revision;
-    this.quantized = quantized;
-    this.progress_callback = progress_callback;
-  }
-  async generate(texts) {
-    await this.loadClient();
-    this.pipelinePromise = new Promise(async (resolve, reject) => {
-      try {
-        const pipeline = this.transformersApi;
-        const quantized = this.quantized;
-        const revision = this.revision;
-        const progress_callback = this.progress_callback;
-        resolve(
-          await pipeline("feature-extraction", this.model, {
-            quantized,
-            revision,
-            progress_callback
-          })
-        );
-      } catch (e) {
-        reject(e);
-      }
-    });
-    let pipe = await this.pipelinePromise;
-    let output = await pipe(texts, { pooling: "mean", normalize: true });
-    return output.tolist();
-  }
-  async loadClient() {
-    if (this.transformersApi)
-      return;
-    try {
-      let { pipeline } = await _DefaultEmbeddingFunction.import();
-      TransformersApi = pipeline;
-    } catch (_a) {
-      if (_a.code === "MODULE_NOT_FOUND") {
-        throw new Error("Please install the chromadb-default-embed package to use the DefaultEmbeddingFunction, `npm install -S chromadb-default-embed`");
-      }
-      throw _a;
-    }
-    this.transformersApi = TransformersApi;
-  }
-  /** @ignore */
-  static async import() {
-    try {
-      const { pipeline } = await import("chromadb-default-embed");
-      return { pipeline };
-    } catch (e) {
-      throw new Error(
-        "Please install chromadb-default-embed as a dependency with, e.g. `yarn add chromadb-default-embed`"
-      );
-    }
-  }
-};
-
-// src/AdminClient.ts
-var DEFAULT_TENANT = "default_tenant";
-var DEFAULT_DATABASE = "default_database";
-var AdminClient = class {
-  /**
-   * Creates a new AdminClient instance.
-   * @param {Object} params - The parameters for creating a new client
-   * @param {string} [params.path] - The base path for the Chroma API.
-   * @returns {AdminClient} A new AdminClient instance.
-   *
-   * @example
-   * ```typescript
-   * const client = new AdminClient({
-   *   path: "http://localhost:8000"
-   * });
-   * ```
-   */
-  constructor({
-    path,
-    fetchOptions,
-    auth,
-    tenant = DEFAULT_TENANT,
-    database = DEFAULT_DATABASE
-  } = {}) {
-    this.tenant = DEFAULT_TENANT;
-    this.database = DEFAULT_DATABASE;
-    if (path === void 0)
-      path = "http://localhost:8000";
-    this.tenant = tenant;
-    this.database = database;
-    const apiConfig = new Configuration({
-      basePath: path
-    });
-    if (auth !== void 0) {
-      this.apiAdapter = new IsomorphicFetchClientAuthProtocolAdapter(new ApiApi(apiConfig), auth);
-      this.api = this.apiAdapter.getApi();
-    } else {
-      this.api = new ApiApi(apiConfig);
-    }
-    this.api.options = fetchOptions != null ? fetchOptions : {};
-  }
-  /**
-   * Sets the tenant and database for the client.
-   *
-   * @param {Object} params - The parameters for setting tenant and database.
-   * @param {string} params.tenant - The name of the tenant.
-   * @param {string} params.database - The name of the database.
-   *
-   * @returns {Promise<void>} A promise that returns nothing
-   * @throws {Error} Any issues
-   *
-   * @example
-   * ```typescript
-   * await adminClient.setTenant({
-   *   tenant: "my_tenant",
-   *   database: "my_database",
-   * });
-   * ```
-   */
-  async setTenant({
-    tenant = DEFAULT_TENANT,
-    database = DEFAULT_DATABASE
-  }) {
-    await validateTenantDatabase(this, tenant, database);
-    this.tenant = tenant;
-    this.database = database;
-  }
-  /**
-   * Sets the database for the client.
-   *
-   * @param {Object} params - The parameters for setting the database.
-   * @param {string} params.database - The name of the database.
-   *
-   * @returns {Promise<void>} A promise that returns nothing
-   * @throws {Error} Any issues
-   *
-   * @example
-   * ```typescript
-   * await adminClient.setDatabase({
-   *   database: "my_database",
-   * });
-   * ```
-   */
-  async setDatabase({
-    database = DEFAULT_DATABASE
-  }) {
-    await validateTenantDatabase(this, this.tenant, database);
-    this.database = database;
-  }
-  /**
-   * Creates a new tenant with the specified properties.
-   *
-   * @param {Object} params - The parameters for creating a new tenant.
-   * @param {string} params.name - The name of the tenant.
-   *
-   * @returns {Promise<Tenant>} A promise that resolves to the created tenant.
-   * @throws {Error} If there is an issue creating the tenant.
-   *
-   * @example
-   * ```typescript
-   * await adminClient.createTenant({
-   *   name: "my_tenant",
-   * });
-   * ```
-   */
-  async createTenant({
-    name
-  }) {
-    const newTenant = await this.api.createTenant({ name }, this.api.options).then(handleSuccess).catch(handleError);
-    if (newTenant && newTenant.error) {
-      throw new Error(newTenant.error);
-    }
-    return { name };
-  }
-  /**
-   * Gets a tenant with the specified properties.
-   *
-   * @param {Object} params - The parameters for getting a tenant.
-   * @param {string} params.name - The name of the tenant.
-   *
-   * @returns {Promise<Tenant>} A promise that resolves to the tenant.
-   * @throws {Error} If there is an issue getting the tenant.
-   *
-   * @example
-   * ```typescript
-   * await adminClient.getTenant({
-   *   name: "my_tenant",
-   * });
-   * ```
-   */
-  async getTenant({
-    name
-  }) {
-    const getTenant = await this.api.getTenant(name, this.api.options).then(handleSuccess).catch(handleError);
-    if (getTenant.error) {
-      throw new Error(getTenant.error);
-    }
-    return { name: getTenant.name };
-  }
-  /**
-   * Creates a new database with the specified properties.
-   *
-   * @param {Object} params - The parameters for creating a new database.
-   * @param {string} params.name - The name of the database.
-   * @param {string} params.tenantName - The name of the tenant.
-   *
-   * @returns {Promise<Database>} A promise that resolves to the created database.
-   * @throws {Error} If there is an issue creating the database.
-   *
-   * @example
-   * ```typescript
-   * await adminClient.createDatabase({
-   *   name: "my_database",
-   *   tenantName: "my_tenant",
-   * });
-   * ```
-   */
-  async createDatabase({
-    name,
-    tenantName
-  }) {
-    const newDatabase = await this.api.createDatabase(tenantName, { name }, this.api.options).then(handleSuccess).catch(handleError);
-    if (newDatabase && newDatabase.error) {
-      throw new Error(newDatabase.error);
-    }
-    return { name };
-  }
-  /**
-   * Gets a database with the specified properties.
-   *
-   * @param {Object} params - The parameters for getting a database.
-   * @param {string} params.name - The name of the database.
-   * @param {string} params.tenantName - The name of the tenant.
-   *
-   * @returns {Promise<Database>} A promise that resolves to the database.
-   * @throws {Error} If there is an issue getting the database.
-   *
-   * @example
-   * ```typescript
-   * await adminClient.getDatabase({
-   *   name: "my_database",
-   *   tenantName: "my_tenant",
-   * });
-   * ```
-   */
-  async getDatabase({
-    name,
-    tenantName
-  }) {
-    const getDatabase = await this.api.getDatabase(name, tenantName, this.api.options).then(handleSuccess).catch(handleError);
-    if (getDatabase.error) {
-      throw new Error(getDatabase.error);
-    }
-    return { name: getDatabase.name };
-  }
-};
-
-// src/ChromaClient.ts
-var DEFAULT_TENANT2 = "default_tenant";
-var DEFAULT_DATABASE2 = "default_database";
-var ChromaClient = class {
-  /**
-   * Creates a new ChromaClient instance.
-   * @param {Object} params - The parameters for creating a new client
-   * @param {string} [params.path] - The base path for the Chroma API.
-   * @returns {ChromaClient} A new ChromaClient instance.
-   *
-   * @example
-   * ```typescript
-   * const client = new ChromaClient({
-   *   path: "http://localhost:8000"
-   * });
-   * ```
-   */
-  constructor({
-    path,
-    fetchOptions,
-    auth,
-    tenant = DEFAULT_TENANT2,
-    database = DEFAULT_DATABASE2
-  } = {}) {
-    this.tenant = DEFAULT_TENANT2;
-    this.database = DEFAULT_DATABASE2;
-    if (path === void 0)
-      path = "http://localhost:8000";
-    this.tenant = tenant;
-    this.database = database;
-    const apiConfig = new Configuration({
-      basePath: path
-    });
-    if (auth !== void 0) {
-      this.apiAdapter = new IsomorphicFetchClientAuthProtocolAdapter(new ApiApi(apiConfig), auth);
-      this.api = this.apiAdapter.getApi();
-    } else {
-      this.api = new ApiApi(apiConfig);
-    }
-    this._adminClient = new AdminClient({
-      path,
-      fetchOptions,
-      auth,
-      tenant,
-      database
-    });
-    this.api.options = fetchOptions != null ? fetchOptions : {};
-  }
-  /**
-   * Resets the state of the object by making an API call to the reset endpoint.
-   *
-   * @returns {Promise<boolean>} A promise that resolves when the reset operation is complete.
-   * @throws {Error} If there is an issue resetting the state.
-   *
-   * @example
-   * ```typescript
-   * await client.reset();
-   * ```
-   */
-  async reset() {
-    return await this.api.reset(this.api.options);
-  }
-  /**
-   * Returns the version of the Chroma API.
-   * @returns {Promise<string>} A promise that resolves to the version of the Chroma API.
-   *
-   * @example
-   * ```typescript
-   * const version = await client.version();
-   * ```
-   */
-  async version() {
-    const response = await this.api.version(this.api.options);
-    return await handleSuccess(response);
-  }
-  /**
-   * Returns a heartbeat from the Chroma API.
-   * @returns {Promise<number>} A promise that resolves to the heartbeat from the Chroma API.
-   *
-   * @example
-   * ```typescript
-   * const heartbeat = await client.heartbeat();
-   * ```
-   */
-  async heartbeat() {
-    const response = await this.api.heartbeat(this.api.options);
-    let ret = await handleSuccess(response);
-    return ret["nanosecond heartbeat"];
-  }
-  /**
-   * Creates a new collection with the specified properties.
-   *
-   * @param {Object} params - The parameters for creating a new collection.
-   * @param {string} params.name - The name of the collection.
-   * @param {CollectionMetadata} [params.metadata] - Optional metadata associated with the collection.
-   * @param {IEmbeddingFunction} [params.embeddingFunction] - Optional custom embedding function for the collection.
-   *
-   * @returns {Promise<Collection>} A promise that resolves to the created collection.
-   * @throws {Error} If there is an issue creating the collection.
-   *
-   * @example
-   * ```typescript
-   * const collection = await client.createCollection({
-   *   name: "my_collection",
-   *   metadata: {
-   *     "description": "My first collection"
-   *   }
-   * });
-   * ```
-   */
-  async createCollection({
-    name,
-    metadata,
-    embeddingFunction
-  }) {
-    if (embeddingFunction === void 0) {
-      embeddingFunction = new DefaultEmbeddingFunction();
-    }
-    const newCollection = await this.api.createCollection(this.tenant, this.database, {
-      name,
-      metadata
-    }, this.api.options).then(handleSuccess).catch(handleError);
-    if (newCollection.error) {
-      throw new Error(newCollection.error);
-    }
-    return new Collection(name, newCollection.id, this.api, metadata, embeddingFunction);
-  }
-  /**
-   * Gets or creates a collection with the specified properties.
-   *
-   * @param {Object} params - The parameters for creating a new collection.
-   * @param {string} params.name - The name of the collection.
-   * @param {CollectionMetadata} [params.metadata] - Optional metadata associated with the collection.
-   * @param {IEmbeddingFunction} [params.embeddingFunction] - Optional custom embedding function for the collection.
-   *
-   * @returns {Promise<Collection>} A promise that resolves to the got or created collection.
-   * @throws {Error} If there is an issue getting or creating the collection.
-   *
-   * @example
-   * ```typescript
-   * const collection = await client.getOrCreateCollection({
-   *   name: "my_collection",
-   *   metadata: {
-   *     "description": "My first collection"
-   *   }
-   * });
-   * ```
-   */
-  async getOrCreateCollection({
-    name,
-    metadata,
-    embeddingFunction
-  }) {
-    if (embeddingFunction === void 0) {
-      embeddingFunction = new DefaultEmbeddingFunction();
-    }
-    const newCollection = await this.api.createCollection(this.tenant, this.database, {
-      name,
-      metadata,
-      "get_or_create": true
-    }, this.api.options).then(handleSuccess).catch(handleError);
-    if (newCollection.error) {
-      throw new Error(newCollection.error);
-    }
-    return new Collection(
-      name,
-      newCollection.id,
-      this.api,
-      newCollection.metadata,
-      embeddingFunction
-    );
-  }
-  /**
-   * Lists all collections.
-   *
-   * @returns {Promise<CollectionType[]>} A promise that resolves to a list of collection names.
-   * @param {PositiveInteger} [params.limit] - Optional limit on the number of items to get.
-   * @param {PositiveInteger} [params.offset] - Optional offset on the items to get.
-   * @throws {Error} If there is an issue listing the collections.
-   *
-   * @example
-   * ```typescript
-   * const collections = await client.listCollections({
-   *     limit: 10,
-   *     offset: 0,
-   * });
-   * ```
-   */
-  async listCollections({
-    limit,
-    offset
-  } = {}) {
-    const response = await this.api.listCollections(
-      this.tenant,
-      this.database,
-      limit,
-      offset,
-      this.api.options
-    );
-    return handleSuccess(response);
-  }
-  /**
-   * Counts all collections.
-   *
-   * @returns {Promise<number>} A promise that resolves to the number of collections.
-   * @throws {Error} If there is an issue counting the collections.
-   *
-   * @example
-   * ```typescript
-   * const collections = await client.countCollections();
-   * ```
-   */
-  async countCollections() {
-    const response = await this.api.countCollections(this.tenant, this.database, this.api.options);
-    return handleSuccess(response);
-  }
-  /**
-   * Gets a collection with the specified name.
-   * @param {Object} params - The parameters for getting a collection.
-   * @param {string} params.name - The name of the collection.
-   * @param {IEmbeddingFunction} [params.embeddingFunction] - Optional custom embedding function for the collection.
-   * @returns {Promise<Collection>} A promise that resolves to the collection.
-   * @throws {Error} If there is an issue getting the collection.
-   *
-   * @example
-   * ```typescript
-   * const collection = await client.getCollection({
-   *   name: "my_collection"
-   * });
-   * ```
-   */
-  async getCollection({
-    name,
-    embeddingFunction
-  }) {
-    const response = await this.api.getCollection(name, this.tenant, this.database, this.api.options).then(handleSuccess).catch(handleError);
-    if (response.error) {
-      throw new Error(response.error);
-    }
-    return new Collection(
-      response.name,
-      response.id,
-      this.api,
-      response.metadata,
-      embeddingFunction
-    );
-  }
-  /**
-   * Deletes a collection with the specified name.
-   * @param {Object} params - The parameters for deleting a collection.
-   * @param {string} params.name - The name of the collection.
-   * @returns {Promise<void>} A promise that resolves when the collection is deleted.
-   * @throws {Error} If there is an issue deleting the collection.
-   *
-   * @example
-   * ```typescript
-   * await client.deleteCollection({
-   *  name: "my_collection"
-   * });
-   * ```
-   */
-  async deleteCollection({
-    name
-  }) {
-    return await this.api.deleteCollection(name, this.tenant, this.database, this.api.options).then(handleSuccess).catch(handleError);
-  }
-};
-
-// src/CloudClient.ts
-var CloudClient = class extends ChromaClient {
-  constructor({ apiKey, database, cloudHost, cloudPort }) {
-    if (!apiKey) {
-      apiKey = process.env.CHROMA_API_KEY;
-    }
-    if (!apiKey) {
-      throw new Error("No API key provided");
-    }
-    cloudHost = cloudHost || "https://api.trychroma.com";
-    cloudPort = cloudPort || "8000";
-    const path = `${cloudHost}:${cloudPort}`;
-    const auth = {
-      provider: "token",
-      credentials: apiKey,
-      providerOptions: { headerType: "X_CHROMA_TOKEN" }
-    };
-    return new ChromaClient({
-      path,
-      auth,
-      database
-    });
-    super();
-  }
-};
-
-// src/embeddings/OpenAIEmbeddingFunction.ts
-var OpenAIApi;
-var openAiVersion = null;
-var openAiMajorVersion = null;
-var OpenAIAPIv3 = class {
-  constructor(configuration) {
-    this.configuration = new OpenAIApi.Configuration({
-      organization: configuration.organization,
-      apiKey: configuration.apiKey
-    });
-    this.openai = new OpenAIApi.OpenAIApi(this.configuration);
-  }
-  async createEmbedding(params) {
-    const embeddings = [];
-    const response = await this.openai.createEmbedding({
-      model: params.model,
-      input: params.input
-    }).catch((error) => {
-      throw error;
-    });
-    const data = response.data["data"];
-    for (let i = 0; i < data.length; i += 1) {
-      embeddings.push(data[i]["embedding"]);
-    }
-    return embeddings;
-  }
-};
-var OpenAIAPIv4 = class {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.openai = new OpenAIApi({
-      apiKey: this.apiKey
-    });
-  }
-  async createEmbedding(params) {
-    const embeddings = [];
-    const response = await this.openai.embeddings.create(params);
-    const data = response["data"];
-    for (let i = 0; i < data.length; i += 1) {
-      embeddings.push(data[i]["embedding"]);
-    }
-    return embeddings;
-  }
-};
-var OpenAIEmbeddingFunction = class _OpenAIEmbeddingFunction {
-  constructor({ openai_api_key, openai_model, openai_organization_id }) {
-    this.api_key = openai_api_key;
-    this.org_id = openai_organization_id || "";
-    this.model = openai_model || "text-embedding-ada-002";
-  }
-  async loadClient() {
-    if (this.openaiApi)
-      return;
-    try {
-      const { openai, version } = await _OpenAIEmbeddingFunction.import();
-      OpenAIApi = openai;
-      let versionVar = version;
-      openAiVersion = versionVar.replace(/[^0-9.]/g, "");
-      openAiMajorVersion = parseInt(openAiVersion.split(".")[0]);
-    } catch (_a) {
-      if (_a.code === "MODULE_NOT_FOUND") {
-        throw new Error("Please install the openai package to use the OpenAIEmbeddingFunction, `npm install -S openai`");
-      }
-      throw _a;
-    }
-    if (openAiMajorVersion > 3) {
-      this.openaiApi = new OpenAIAPIv4(this.api_key);
-    } else {
-      this.openaiApi = new OpenAIAPIv3({
-        organization: this.org_id,
-        apiKey: this.api_key
-      });
-    }
-  }
-  async generate(texts) {
-    await this.loadClient();
-    return await this.openaiApi.createEmbedding({
-      model: this.model,
-      input: texts
-    }).catch((error) => {
-      throw error;
-    });
-  }
-  /** @ignore */
-  static async import() {
-    try {
-      const { default: openai } = await import("openai");
-      const { VERSION } = await import("openai/version");
-      return { openai, version: VERSION };
-    } catch (e) {
-      throw new Error(
-        "Please install openai as a dependency with, e.g. `yarn add openai`"
-      );
-    }
-  }
-};
-
-// src/embeddings/CohereEmbeddingFunction.ts
-var CohereAISDK56 = class {
-  constructor(configuration) {
-    this.apiKey = configuration.apiKey;
-  }
-  async loadClient() {
-    if (this.cohereClient)
-      return;
-    const { default: cohere } = await import("cohere-ai");
-    cohere.init(this.apiKey);
-    this.cohereClient = cohere;
-  }
-  async createEmbedding(params) {
-    await this.loadClient();
-    return await this.cohereClient.embed({
-      texts: params.input,
-      model: params.model
-    }).then((response) => {
-      return response.body.embeddings;
-    });
-  }
-};
-var CohereAISDK7 = class {
-  constructor(configuration) {
-    this.apiKey = configuration.apiKey;
-  }
-  async loadClient() {
-    if (this.cohereClient)
-      return;
-    const cohere = await import("cohere-ai").then((cohere2) => {
-      return cohere2;
-    });
-    this.cohereClient = new cohere.CohereClient({
-      token: this.apiKey
-    });
-  }
-  async createEmbedding(params) {
-    await this.loadClient();
-    return await this.cohereClient.embed({ texts: params.input, model: params.model }).then((response) => {
-      return response.embeddings;
-    });
-  }
-};
-var CohereEmbeddingFunction = class {
-  constructor({
-    cohere_api_key,
-    model
-  }) {
-    this.model = model || "large";
-    this.apiKey = cohere_api_key;
-  }
-  async initCohereClient() {
-    if (this.cohereAiApi)
-      return;
-    try {
-      this.cohereAiApi = await import("cohere-ai").then((cohere) => {
-        if (cohere.CohereClient) {
-          return new CohereAISDK7({ apiKey: this.apiKey });
-        } else {
-          return new CohereAISDK56({ apiKey: this.apiKey });
-        }
-      });
-    } catch (e) {
-      if (e.code === "MODULE_NOT_FOUND") {
-        throw new Error(
-          "Please install the cohere-ai package to use the CohereEmbeddingFunction, `npm install -S cohere-ai`"
-        );
-      }
-      throw e;
-    }
-  }
-  async generate(texts) {
-    await this.initCohereClient();
-    return await this.cohereAiApi.createEmbedding({
-      model: this.model,
-      input: texts
-    });
-  }
-};
-
-// src/embeddings/TransformersEmbeddingFunction.ts
-var TransformersApi2;
-var TransformersEmbeddingFunction = class _TransformersEmbeddingFunction {
-  /**
-   * TransformersEmbeddingFunction constructor.
-   * @param options The configuration options.
-   * @param options.model The model to use to calculate embeddings. Defaults to 'Xenova/all-MiniLM-L6-v2', which is an ONNX port of `sentence-transformers/all-MiniLM-L6-v2`.
-   * @param options.revision The specific model version to use (can be a branch, tag name, or commit id). Defaults to 'main'.
-   * @param options.quantized Whether to load the 8-bit quantized version of the model. Defaults to `false`.
-   * @param options.progress_callback If specified, this function will be called during model construction, to provide the user with progress updates.
-   */
-  constructor({
-    model = "Xenova/all-MiniLM-L6-v2",
-    revision = "main",
-    quantized = false,
-    progress_callback = null
-  } = {}) {
-    this.model = model;
-    this.revision = revision;
-    this.quantized = quantized;
-    this.progress_callback = progress_callback;
-  }
-  async generate(texts) {
-    await this.loadClient();
-    this.pipelinePromise = new Promise(async (resolve, reject) => {
-      try {
-        const pipeline = this.transformersApi;
-        const quantized = this.quantized;
-        const revision = this.revision;
-        const progress_callback = this.progress_callback;
-        resolve(
-          await pipeline("feature-extraction", this.model, {
-            quantized,
-            revision,
-            progress_callback
-          })
-        );
-      } catch (e) {
-        reject(e);
-      }
-    });
-    let pipe = await this.pipelinePromise;
-    let output = await pipe(texts, { pooling: "mean", normalize: true });
-    return output.tolist();
-  }
-  async loadClient() {
-    if (this.transformersApi)
-      return;
-    try {
-      let { pipeline } = await _TransformersEmbeddingFunction.import();
-      TransformersApi2 = pipeline;
-    } catch (_a) {
-      if (_a.code === "MODULE_NOT_FOUND") {
-        throw new Error("Please install the @xenova/transformers package to use the TransformersEmbeddingFunction, `npm install -S @xenova/transformers`");
-      }
-      throw _a;
-    }
-    this.transformersApi = TransformersApi2;
-  }
-  /** @ignore */
-  static async import() {
-    try {
-      const { pipeline } = await import("@xenova/transformers");
-      return { pipeline };
-    } catch (e) {
-      throw new Error(
-        "Please install @xenova/transformers as a dependency with, e.g. `yarn add @xenova/transformers`"
-      );
-    }
-  }
-};
-
-// src/embeddings/HuggingFaceEmbeddingServerFunction.ts
-var HuggingFaceEmbeddingServerFunction = class {
-  constructor({ url }) {
-    this.url = url;
-  }
-  async generate(texts) {
-    const response = await fetch(this.url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({ "inputs": texts })
-    });
-    if (!response.ok) {
-      throw new Error(`Failed to generate embeddings: ${response.statusText}`);
-    }
-    const data = await response.json();
-    return data;
-  }
-};
-
-// src/embeddings/JinaEmbeddingFunction.ts
-var JinaEmbeddingFunction = class {
-  constructor({ jinaai_api_key, model_name }) {
-    this.model_name = model_name || "jina-embeddings-v2-base-en";
-    this.api_url = "https://api.jina.ai/v1/embeddings";
-    this.headers = {
-      Authorization: `Bearer ${jinaai_api_key}`,
-      "Accept-Encoding": "identity",
-      "Content-Type": "application/json"
-    };
-  }
-  async generate(texts) {
-    try {
-      const response = await fetch(this.api_url, {
-        method: "POST",
-        headers: this.headers,
-        body: JSON.stringify({
-          input: texts,
-          model: this.model_name
-        })
-      });
-      const data = await response.json();
-      if (!data || !data.data) {
-        throw new Error(data.detail);
-      }
-      const embeddings = data.data;
-      const sortedEmbeddings = embeddings.sort((a, b) => a.index - b.index);
-      return sortedEmbeddings.map((result) => result.embedding);
-    } catch (error) {
-      if (error instanceof Error) {
-        throw new Error(`Error calling Jina AI API: ${error.message}`);
-      } else {
-        throw new Error(`Error calling Jina AI API: ${error}`);
-      }
-    }
-  }
-};
-
-// src/embeddings/GoogleGeminiEmbeddingFunction.ts
-var googleGenAiApi;
-var GoogleGenerativeAiEmbeddingFunction = class _GoogleGenerativeAiEmbeddingFunction {
-  constructor({ googleApiKey, model, taskType }) {
-    this.api_key = googleApiKey;
-    this.model = model || "embedding-001";
-    this.taskType = taskType || "RETRIEVAL_DOCUMENT";
-  }
-  async loadClient() {
-    if (this.googleGenAiApi)
-      return;
-    try {
-      const { googleGenAi } = await _GoogleGenerativeAiEmbeddingFunction.import();
-      googleGenAiApi = googleGenAi;
-      googleGenAiApi = new googleGenAiApi(this.api_key);
-    } catch (_a) {
-      if (_a.code === "MODULE_NOT_FOUND") {
-        throw new Error("Please install the @google/generative-ai package to use the GoogleGenerativeAiEmbeddingFunction, `npm install -S @google/generative-ai`");
-      }
-      throw _a;
-    }
-    this.googleGenAiApi = googleGenAiApi;
-  }
-  async generate(texts) {
-    await this.loadClient();
-    const model = this.googleGenAiApi.getGenerativeModel({ model: this.model });
-    const response = await model.batchEmbedContents({
-      requests: texts.map((t) => ({
-        content: { parts: [{ text: t }] },
-        taskType: this.taskType
-      }))
-    });
-    const embeddings = response.embeddings.map((e) => e.values);
-    return embeddings;
-  }
-  /** @ignore */
-  static async import() {
-    try {
-      const { GoogleGenerativeAI } = await import("@google/generative-ai");
-      const googleGenAi = GoogleGenerativeAI;
-      return { googleGenAi };
-    } catch (e) {
-      throw new Error(
-        "Please install @google/generative-ai as a dependency with, e.g. `yarn add @google/generative-ai`"
-      );
-    }
-  }
-};
-
-// src/types.ts
-var IncludeEnum = /* @__PURE__ */ ((IncludeEnum2) => {
-  IncludeEnum2["Documents"] = "documents";
-  IncludeEnum2["Embeddings"] = "embeddings";
-  IncludeEnum2["Metadatas"] = "metadatas";
-  IncludeEnum2["Distances"] = "distances";
-  return IncludeEnum2;
-})(IncludeEnum || {});
-export {
-  AdminClient,
-  ChromaClient,
-  CloudClient,
-  CohereEmbeddingFunction,
-  Collection,
-  DefaultEmbeddingFunction,
-  GoogleGenerativeAiEmbeddingFunction,
-  HuggingFaceEmbeddingServerFunction,
-  IncludeEnum,
-  JinaEmbeddingFunction,
-  OpenAIEmbeddingFunction,
-  TransformersEmbeddingFunction
-};
-//# sourceMappingURL=chromadb.mjs.map
@@ -0,0 +1,702 @@
+// UI message catalogs. Every locale shares the same keys; a key missing from a locale falls back to Persian.
+// Placeholders are written as {name} and filled in by t(key, params) in index.html.
+const LOCALES = {
+    fa: {
+        name: 'فارسی',
+        dir: 'rtl',
+        intl: 'fa-IR',
+        messages: {
+            'list.separator': '، ',
+            'list.or': ' یا ',
+            'list.semicolon': '؛ ',
+
+            'app.welcome': 'به نورا خوش آمدید! در حال آماده‌سازی اولیه...',
+            'app.assistantLoading': 'دستیار هوشمند در حال بارگذاری...',
+            'app.assistantReady': 'دستیار هوشمند آماده است.',
+            'app.assistantNotReady': 'لطفا صبر کنید، دستیار هوشمند هنوز آماده نشده.',
+            'app.workerCrash': 'خطای بحرانی در بارگذاری دستیار:\n\nفایل: {file}\nشماره خط: {line}\n\nپیام: {message}\n\nلطفا از این پیام اسکرین‌شات بگیرید.',
+            'app.workerCrashShort': 'خطای بحرانی در بارگذاری دستیار.',
+            'app.noWorkers': 'مرورگر شما از Web Workers پشتیبانی نمی‌کند. عملکرد برنامه ممکن است مختل شود.',
+            'app.startFailed': 'خطا در راه‌اندازی کتابخانه: {error}',
+
+            'nav.menu': 'منو',
+            'nav.branch': 'شاخه داستان',
+            'nav.readingMode': 'حالت مطالعه',
+            'nav.exitReadingMode': 'خروج از حالت مطالعه',
+            'nav.continueStory': 'شروع / ادامه داستان (Ctrl+Enter)',
+            'nav.compose': 'نوشتن بخش توسط نویسنده',
+            'nav.prompt': 'پرامپت و کنترل داستان',
+            'nav.bible': 'کتاب مرجع داستان',
+            'nav.upload': 'آپلود کتاب',
+            'nav.backup': 'پشتیبان‌گیری و بازگردانی کتابخانه',
+            'nav.about': 'درباره ما',
+            'nav.settings': 'تنظیمات',
+            'nav.newBook': 'چت جدید',
+            'nav.clearChat': 'پاک کردن تاریخچه چت',
+            'nav.search': 'جستجو در کتاب‌ها...',
+            'nav.library': 'کتابخانه',
+
+            'common.close': 'بستن',
+            'common.cancel': 'لغو',
+            'common.confirm': 'تایید',
+            'common.save': 'ذخیره',
+            'common.edit': 'ویرایش',
+            'common.delete': 'حذف',
+
+            'settings.apiKey': 'کلید API خود را اینجا وارد کنید...',
+            'settings.modelPro': 'بالاترین کیفیت، کندترین سرعت (۱ تا ۵ دقیقه).',
+            'settings.modelFlash': 'تعادل بین سرعت و دقت، مناسب اکثر سناریوها.',
+            'settings.modelFlashLite': 'سریع‌ترین مدل، کیفیت مناسب.',
+            'settings.openaiBaseUrl': 'آدرس پایه، مثلا http://localhost:11434/v1',
+            'settings.openaiApiKey': 'کلید API (اختیاری)',
+            'settings.openaiModels': 'نام مدل‌ها، جدا شده با کاما',
+            'settings.stream': 'نمایش زنده متن هنگام نوشتن',
+            'settings.language': 'زبان',
+
+            'about.intro': '«Nora» دستیار نویسندگی خلاق شماست. با استفاده از یک حافظه هوشمند و مقیاس‌پذیر، نورا به شما کمک می‌کند تا داستان‌های بلند و پیچیده بنویسید، بدون آنکه نگران فراموش شدن جزئیات و خطوط داستانی باشید.',
+            'about.community': 'این یک پروژه اجتماعی است! برای اطلاع از آخرین اخبار و به‌روزرسانی‌ها به کانال تلگرام ما بپیوندید و برای مشارکت در توسعه، مشاهده کد منبع یا گزارش مشکلات از پروژه گیت‌هاب ما دیدن کنید.',
+            'about.telegram': 'کانال تلگرام',
+            'about.github': 'پروژه در گیت‌هاب',
+
+            'provider.gemini': 'Gemini',
+            'provider.openai': 'سازگار با OpenAI',
+            'provider.missingApiKey': 'لطفا ابتدا کلید API خود را در تنظیمات وارد کنید.',
+            'provider.missingBaseUrl': 'لطفا آدرس سرور {provider} را در تنظیمات وارد کنید.',
+            'provider.missingModel': 'لطفا نام مدل {provider} را در تنظیمات وارد کنید.',
+
+            'api.unknownError': 'خطای ناشناخته با کد {status}',
+            'api.error': 'خطای API: {message}',
+            'api.badRequest': 'درخواست ارسال شده به مدل هوش مصنوعی ناقص یا اشتباه است.',
+            'api.forbidden': 'کلید API وارد شده نامعتبر است یا دسترسی لازم را ندارد.',
+            'api.tooManyRequests': 'تعداد درخواست‌ها به سرور هوش مصنوعی بیش از حد مجاز بوده است.',
+            'api.serverError': 'یک خطای داخلی در سرور هوش مصنوعی رخ داده است.',
+            'api.unavailable': 'سرویس هوش مصنوعی در حال حاضر در دسترس نیست.',
+            'api.safetyBlocked': 'تولید متن به دلیل فعال شدن فیلترهای ایمنی گوگل متوقف شد.',
+            'api.emptyResponse': 'پاسخ دریافتی از API خالی یا نامعتبر است.',
+            'api.openaiBadRequest': 'درخواست ارسال شده به سرور نامعتبر است: {message}',
+            'api.openaiUnauthorized': 'کلید API سرور سازگار با OpenAI نامعتبر است.',
+            'api.openaiForbidden': 'کلید API وارد شده دسترسی لازم به این مدل را ندارد.',
+            'api.openaiNotFound': 'مدل یا آدرس سرور یافت نشد. نام مدل و آدرس پایه را بررسی کنید.',
+            'api.openaiUnavailable': 'سرور هوش مصنوعی در حال حاضر در دسترس نیست یا مدل هنوز بارگذاری نشده.',
+            'api.connectionFailed': 'اتصال به سرور {baseUrl} برقرار نشد. از روشن بودن سرور و مجاز بودن CORS اطمینان حاصل کنید.',
+            'api.contentFiltered': 'تولید متن به دلیل فعال شدن فیلترهای محتوایی سرور متوقف شد.',
+
+            'memory.archiveFailed': 'خطا در آرشیو کردن حافظه: {error}',
+            'memory.summaryLabel': '[خلاصه از گذشته: {text}]',
+            'memory.authorLabel': '[نوشته نویسنده: {text}]',
+
+            'prompt.description': 'ایده اصلی، ژانر، شخصیت‌ها و خط کلی داستان خود را در اینجا وارد کنید. این پرامپت به عنوان راهنمای اصلی برای هوش مصنوعی عمل خواهد کرد.',
+            'prompt.placeholder': 'مثال: یک داستان فانتزی تاریک درباره آخرین بازمانده یک خاندان سلطنتی که...',
+            'prompt.processControl': 'کنترل فرآیند',
+            'prompt.auto': 'خودکار',
+            'prompt.manual': 'دستی',
+            'prompt.manualDescription': 'دستور یک‌بار مصرف خود برای نوشتن بخش بعدی داستان را وارد کنید:',
+            'prompt.manualPlaceholder': 'مثال: شخصیت اصلی یک کلید مرموز پیدا می‌کند...',
+            'prompt.provider': 'ارائه‌دهنده هوش مصنوعی',
+            'prompt.modelParams': 'مدل و پارامترهای تولید',
+            'prompt.paramsHint': 'فیلدهای خالی از مقدار پیش‌فرض مدل استفاده می‌کنند.',
+            'prompt.saved': 'پرامپت ذخیره شد.',
+            'prompt.required': 'لطفا ابتدا یک پرامپت برای داستان خود وارد کنید.',
+
+            'param.model': 'مدل',
+            'param.defaultModel': 'پیش‌فرض تنظیمات ({model})',
+            'param.maxOutputTokens': 'حداکثر توکن خروجی',
+            'param.contextWindow': 'پنجره زمینه مدل (توکن)',
+            'param.stopSequences': 'توالی‌های توقف (هر خط یک مورد)',
+            'param.invalid': 'مقدار «{label}» نامعتبر است.',
+            'param.tooManyStops': 'حداکثر ۴ توالی توقف مجاز است.',
+
+            'template.title': 'قالب پرامپت',
+            'template.description': 'عنوان بخش‌ها و دستورهای ارسالی به مدل را می‌توانید برای این کتاب تغییر دهید. جای‌نگهدارهایی مثل {{context}} با محتوای همان بخش پر می‌شوند.',
+            'template.base': 'قالب پایه',
+            'template.edit': 'ویرایش بخش‌های قالب',
+            'template.reset': 'بازگشت به قالب پایه',
+            'template.empty': 'قالب «{label}» نمی‌تواند خالی باشد.',
+            'template.missing': 'قالب «{label}» باید {placeholders} را داشته باشد.',
+            'template.unknown': 'جای‌نگهدار {placeholders} در قالب «{label}» شناخته شده نیست.',
+            'template.field.prompt': 'پرامپت اصلی',
+            'template.field.bible': 'اطلاعات مرجع',
+            'template.field.context': 'حافظه بازیابی‌شده',
+            'template.field.lastPassage': 'آخرین بخش',
+            'template.field.authorPassage': 'آخرین بخش (نوشته نویسنده)',
+            'template.field.nextPassage': 'بخش بعدی',
+            'template.field.draft': 'متن بخش در حال بازنویسی',
+            'template.field.instruction': 'دستورالعمل نویسنده',
+            'template.field.revision': 'دستورالعمل بازنویسی',
+            'template.field.taskFirst': 'وظیفه: بخش اول',
+            'template.field.taskBridge': 'وظیفه: بخش میانی',
+            'template.field.taskAuthor': 'وظیفه: ادامه متن نویسنده',
+            'template.field.taskContinue': 'وظیفه: ادامه داستان',
+            'template.field.taskRewrite': 'وظیفه: بازنویسی',
+            'template.field.summary': 'پرامپت خلاصه‌سازی حافظه',
+
+            'budget.title': 'برآورد توکن‌های آخرین پرامپت ارسال‌شده',
+            'budget.total': '{used} / {budget} توکن',
+            'budget.dropped': ' (حذف شد)',
+            'budget.trimmed': ' (کوتاه شد)',
+            'budget.overBudget': 'پرامپت و دستورالعمل‌ها به تنهایی از بودجه زمینه مدل بیشترند؛ ممکن است درخواست رد شود.',
+            'budget.trimmedNotice': 'برای جا شدن در بودجه زمینه مدل، بخشی از زمینه کوتاه شد.',
+            'section.prompt': 'پرامپت اصلی',
+            'section.bible': 'اطلاعات مرجع',
+            'section.memory': 'حافظه بازیابی‌شده',
+            'section.previous': 'آخرین بخش',
+            'section.next': 'بخش بعدی',
+            'section.draft': 'بخش در حال بازنویسی',
+            'section.instruction': 'دستورالعمل',
+            'section.task': 'وظیفه',
+
+            'generation.creating': 'در حال خلق داستان...',
+            'generation.searching': 'در حال جستجو در حافظه... ',
+            'generation.writing': 'در حال نوشتن داستان...',
+            'generation.wait': 'لطفا تا پایان نوشتن بخش فعلی صبر کنید.',
+
+            'message.authorLabel': 'نوشته نویسنده',
+            'message.error': 'خطا: {message}',
+            'message.emptyText': 'متن بخش نمی‌تواند خالی باشد.',
+            'message.saved': 'تغییرات ذخیره شد.',
+            'message.deleteConfirm': 'برای حذف دوباره کلیک کنید',
+            'message.deleted': 'بخش حذف شد.',
+            'message.regenerate': 'اصلاح و بازنویسی',
+            'message.inspect': 'پرامپت ارسال‌شده',
+            'message.edit': 'ویرایش دستی',
+            'message.insert': 'درج بخش جدید بعد از این',
+            'message.fork': 'انشعاب از اینجا',
+            'message.delete': 'حذف بخش',
+            'message.drag': 'جابجایی بخش',
+
+            'revision.previous': 'نسخه قبلی',
+            'revision.next': 'نسخه بعدی',
+            'revision.label': 'نسخه {index} از {count}',
+            'revision.edited': 'ویرایش دستی',
+            'revision.instruction': 'دستور: {instruction}',
+            'revision.original': 'نسخه اصلی',
+
+            'compose.placeholder': 'بخش خود را اینجا بنویسید. هوش مصنوعی داستان را از ادامه متن شما می‌نویسد. (Ctrl+Enter برای افزودن)',
+            'compose.add': 'افزودن به داستان',
+            'compose.empty': 'لطفا ابتدا متن بخش را بنویسید.',
+
+            'regenerate.description': 'دستور خود برای اصلاح این بخش از داستان را وارد کنید. می‌توانید درخواست تغییر لحن، اصلاح کلمات یا تغییر یک رویداد خاص را بدهید.',
+            'regenerate.placeholder': 'مثال: شمشیر یخی با خودکشی شخصیت اصلی از بین نرفت، بلکه به قطعات درخشانی تبدیل شد که در هوا معلق ماندند...',
+            'regenerate.confirm': 'تایید و بازنویسی',
+            'regenerate.instructionRequired': 'لطفا یک دستورالعمل برای بازنویسی وارد کنید.',
+
+            'branch.main': 'شاخه اصلی',
+            'branch.numbered': 'شاخه {id}',
+            'branch.activated': 'شاخه «{title}» فعال شد.',
+
+            'fork.description': 'یک خط زمانی جایگزین از این بخش ساخته می‌شود. بخش‌های بعد از این نقطه و حافظه مربوط به آن‌ها به انشعاب جدید منتقل نمی‌شوند.',
+            'fork.branch': 'شاخه در همین کتاب',
+            'fork.book': 'کتاب جدید',
+            'fork.namePlaceholder': 'نام انشعاب (اختیاری)',
+            'fork.create': 'ساخت انشعاب',
+            'fork.bookTitle': '{title} (انشعاب)',
+            'fork.bookCreated': 'کتاب «{title}» از این بخش ساخته شد.',
+
+            'book.newTitle': 'کتاب جدید {id}',
+            'book.defaultTitle': 'کتاب {id}',
+            'book.export': 'خروجی کتاب',
+            'book.rename': 'ویرایش نام',
+            'book.delete': 'حذف کتاب',
+
+            'schema.const': '{path} باید {value} باشد',
+            'schema.enum': '{path} باید یکی از {values} باشد',
+            'schema.type': '{path} باید از نوع {types} باشد',
+            'schema.minLength': '{path} نباید خالی باشد',
+            'schema.minimum': '{path} نباید کمتر از {minimum} باشد',
+            'schema.required': '{path} الزامی است',
+
+            'nora.invalidFormat': 'فرمت فایل کتاب نامعتبر است.',
+            'nora.newerVersion': 'این فایل با نسخه جدیدتری از نورا ساخته شده است.',
+            'nora.invalidFile': 'فایل کتاب معتبر نیست: {errors}',
+
+            'export.nora': 'فایل نورا (.nora)',
+            'export.noraEmbeddings': 'فایل نورا همراه با بردارهای حافظه',
+            'export.epub': 'کتاب الکترونیکی (EPUB)',
+            'export.pdf': 'دست‌نوشته چاپی (PDF)',
+            'export.docx': 'ورد (DOCX)',
+            'export.markdown': 'مارک‌داون (MD)',
+            'export.text': 'متن ساده (TXT)',
+            'export.folderSync': 'همگام‌سازی با پوشه «{folder}»',
+            'export.folderUnbind': 'قطع اتصال پوشه',
+            'export.folderBind': 'اتصال به پوشه محلی...',
+            'export.downloaded': 'کتاب «{title}» با موفقیت دانلود شد.',
+            'export.downloadedWithoutMemory': 'کتاب «{title}» بدون حافظه‌ی دستیار دانلود شد، چون دستیار در دسترس نبود. پس از وارد کردن، حافظه از نو ساخته می‌شود.',
+            'export.downloadFailed': 'خطا در دانلود کتاب: {error}',
+            'export.empty': 'این کتاب هنوز بخشی برای خروجی گرفتن ندارد.',
+            'export.epubUnavailable': 'کتابخانه ساخت EPUB بارگذاری نشد. اتصال اینترنت را بررسی کنید.',
+            'export.epubCreated': 'نسخه EPUB کتاب «{title}» ساخته شد.',
+            'export.epubFailed': 'خطا در ساخت EPUB: {error}',
+            'export.zipUnavailable': 'کتابخانه ساخت فایل فشرده بارگذاری نشد.',
+            'export.ready': 'خروجی کتاب «{title}» آماده شد.',
+            'export.failed': 'خطا در ساخت خروجی: {error}',
+            'export.pdfPrinting': 'در پنجره چاپ، «ذخیره به صورت PDF» را انتخاب کنید.',
+            'export.pdfFailed': 'خطا در ساخت PDF: {error}',
+
+            'manuscript.title': 'خروجی PDF دست‌نوشته',
+            'manuscript.description': 'بخش‌های کتاب با قالب استاندارد دست‌نوشته (صفحه عنوان، شروع هر فصل در صفحه جدید و شماره صفحه) برای چاپ چیده می‌شوند. در پنجره چاپ، گزینه «ذخیره به صورت PDF» را انتخاب کنید. فایرفاکس شماره صفحه را نمی‌گذارد؛ در آن گزینه «سربرگ و پانویس» پنجره چاپ را روشن کنید.',
+            'manuscript.font': 'قلم',
+            'manuscript.fontIranYekan': 'ایران یکان',
+            'manuscript.fontSize': 'اندازه قلم (pt)',
+            'manuscript.lineHeight': 'فاصله خطوط',
+            'manuscript.pageSize': 'اندازه صفحه',
+            'manuscript.create': 'ساخت PDF',
+
+            'import.title': 'پیش‌نمایش وارد کردن دست‌نوشته',
+            'import.bookName': 'نام کتاب',
+            'import.create': 'ساخت کتاب',
+            'import.indexing': 'در حال افزودن کتاب «{title}» به حافظه...',
+            'import.uploaded': 'کتاب «{title}» با موفقیت آپلود شد.',
+            'import.uploadFailed': 'خطا در آپلود کتاب: {error}',
+            'import.noText': 'متنی برای وارد کردن در این فایل پیدا نشد.',
+            'import.readFailed': 'خطا در خواندن دست‌نوشته: {error}',
+            'import.invalidDocx': 'فایل DOCX معتبر نیست.',
+            'import.summary': 'فایل «{file}» به {count} بخش ({length} نویسه) تقسیم شد. در صورت نیاز بخش‌ها را با بخش قبلی ادغام کنید.',
+            'import.passageInfo': '{index} · {length} نویسه',
+            'import.merge': 'ادغام با قبلی',
+            'zip.readerUnavailable': 'کتابخانه خواندن فایل فشرده بارگذاری نشد.',
+
+            'backup.description': 'همه کتاب‌ها به همراه ترتیب، تنظیمات هر کتاب، حافظه بلندمدت و تنظیمات برنامه در یک فایل ذخیره می‌شوند.',
+            'backup.includeKeys': 'کلیدهای API هم ذخیره شوند',
+            'backup.download': 'دانلود فایل پشتیبان',
+            'backup.merge': 'افزودن به کتابخانه',
+            'backup.replace': 'جایگزینی کتابخانه',
+            'backup.conflict': 'اگر کتابی با همین نام وجود داشت',
+            'backup.conflictRename': 'هر دو نگه داشته شوند (نام تازه)',
+            'backup.conflictSkip': 'از کتاب پشتیبان صرف‌نظر شود',
+            'backup.conflictOverwrite': 'کتاب فعلی جایگزین شود',
+            'backup.restoreSettings': 'تنظیمات برنامه هم بازگردانی شود',
+            'backup.restore': 'بازگردانی از فایل...',
+            'backup.zipUnavailable': 'کتابخانه ساخت فایل فشرده بارگذاری نشد. اتصال اینترنت را بررسی کنید.',
+            'backup.empty': 'کتابخانه خالی است.',
+            'backup.creating': 'در حال ساخت فایل پشتیبان...',
+            'backup.created': 'پشتیبان {count} کتاب ساخته شد.',
+            'backup.createdWithoutMemory': 'پشتیبان {count} کتاب ساخته شد؛ حافظه‌ی {missing} کتاب در دسترس نبود و پس از بازگردانی از نو ساخته می‌شود.',
+            'backup.failed': 'خطا در ساخت پشتیبان: {error}',
+            'backup.replaceConfirm': 'همه کتاب‌های فعلی و حافظه آن‌ها حذف و با محتوای فایل پشتیبان جایگزین می‌شوند. ادامه می‌دهید؟',
+            'backup.restoreFailed': 'خطا در بازگردانی پشتیبان: {error}',
+            'backup.notBackup': 'این فایل پشتیبان نورا نیست.',
+            'backup.newerVersion': 'این پشتیبان با نسخه جدیدتری از نورا ساخته شده است.',
+            'backup.missingFile': 'فایل {file} در پشتیبان پیدا نشد.',
+            'backup.restored': '{count} کتاب بازگردانی شد.',
+            'backup.restoredWithSkipped': '{count} کتاب بازگردانی شد و از {skipped} کتاب تکراری صرف‌نظر شد.',
+
+            'storage.transactionAborted': 'تراکنش پایگاه داده لغو شد.',
+            'storage.newerVersionOpen': 'نسخه جدیدتری از نورا در تب دیگری باز شده است. لطفا این صفحه را دوباره بارگذاری کنید.',
+            'storage.blocked': 'برای به‌روزرسانی پایگاه داده، تب‌های دیگر نورا را ببندید.',
+            'storage.unavailable': 'پایگاه داده مرورگر در دسترس نیست؛ کتاب‌ها در حافظه محلی ذخیره می‌شوند.',
+            'storage.loadFailed': 'خواندن کتاب‌ها از پایگاه داده مرورگر ناموفق بود ({error})؛ در این نشست کتاب‌ها در حافظه محلی ذخیره می‌شوند.',
+            'storage.quotaExceeded': 'فضای ذخیره‌سازی مرورگر پر شده و آخرین تغییرات ذخیره نشد. کتاب‌های قدیمی را دانلود و حذف کنید یا فضای دستگاه را آزاد کنید.',
+            'storage.saveFailed': 'خطا در ذخیره کتاب‌ها: {error}',
+
+            'folder.unsupported': 'مرورگر شما از همگام‌سازی با پوشه محلی پشتیبانی نمی‌کند.',
+            'folder.bound': 'کتاب «{title}» به پوشه «{folder}» متصل شد.',
+            'folder.bindFailed': 'خطا در اتصال به پوشه: {error}',
+            'folder.unbound': 'اتصال کتاب «{title}» به پوشه قطع شد. فایل‌های پوشه دست نخوردند.',
+            'folder.unavailable': 'پوشه این کتاب در دسترس نیست؛ دوباره آن را متصل کنید.',
+            'folder.permissionDenied': 'اجازه دسترسی به پوشه داده نشد.',
+            'folder.synced': 'کتاب «{title}» با پوشه همگام شد.',
+            'folder.syncFailed': 'خطا در همگام‌سازی پوشه: {error}',
+            'folder.editedRevision': 'ویرایش در پوشه محلی',
+            'folder.confirmRemoval': '{count} فایل از پوشه کتاب «{title}» حذف شده است:\n\n{files}\n\nبخش‌های متناظر از کتاب و حافظه آن هم حذف شوند؟ اگر لغو کنید، فایل‌ها دوباره در پوشه نوشته می‌شوند.',
+
+            'bible.title': 'کتاب مرجع داستان',
+            'bible.description': 'شخصیت‌ها، مکان‌ها، اشیا، گروه‌ها و قوانین دنیای داستان. هر مدخلی که نام یا نام‌های دیگرش در بخش‌های اخیر یا دستور شما آمده باشد، به طور خودکار به هوش مصنوعی یادآوری می‌شود.',
+            'bible.type': 'نوع',
+            'bible.name': 'نام',
+            'bible.aliases': 'نام‌های دیگر (جدا شده با کاما)',
+            'bible.details': 'توضیحات',
+            'bible.newEntry': 'مدخل جدید',
+            'bible.saveEntry': 'ذخیره مدخل',
+            'bible.addEntry': 'افزودن مدخل',
+            'bible.saveChanges': 'ذخیره تغییرات',
+            'bible.empty': 'هنوز مدخلی ثبت نشده است.',
+            'bible.nameRequired': 'لطفا نام مدخل را وارد کنید.',
+            'bible.saved': 'مدخل «{name}» ذخیره شد.',
+            'bible.otherNames': ' (نام‌های دیگر: {aliases})',
+            'bible.type.character': 'شخصیت',
+            'bible.type.location': 'مکان',
+            'bible.type.item': 'شیء',
+            'bible.type.faction': 'گروه',
+            'bible.type.rule': 'قانون',
+
+            'inspector.params': 'پارامترها',
+            'inspector.budget': 'بودجه زمینه',
+            'inspector.context': 'حافظه بازیابی‌شده',
+            'inspector.fullPrompt': 'متن کامل پرامپت',
+            'inspector.copy': 'کپی پرامپت',
+            'inspector.editedRevision': 'این نسخه به صورت دستی ویرایش شده و پرامپتی برای آن ثبت نشده است.',
+            'inspector.noRecord': 'برای این بخش پرامپتی ثبت نشده است.',
+            'inspector.modelDefaults': 'پیش‌فرض مدل',
+            'inspector.notRecorded': 'ثبت نشده',
+            'inspector.total': 'مجموع: {used} از {budget} توکن',
+            'inspector.noContext': 'چیزی از حافظه بازیابی نشد.',
+            'inspector.summaryChunk': 'خلاصه — شباهت {score}',
+            'inspector.passageChunk': 'بخش — شباهت {score}',
+            'inspector.excluded': ' — به دلیل بودجه ارسال نشد',
+            'inspector.chunkSource': ' — بخش {passage}، نویسه {start} تا {end}',
+            'inspector.copied': 'پرامپت کپی شد.',
+            'inspector.copyFailed': 'کپی پرامپت ممکن نشد.',
+            'embedding.title': 'حافظه بلندمدت',
+            'embedding.description': 'مدلی که بخش‌های داستان را برای جستجو در حافظه به بردار تبدیل می‌کند. برای کتاب‌های فارسی یکی از مدل‌های چندزبانه را انتخاب کنید. با تغییر مدل، حافظه این کتاب در پس‌زمینه دوباره ساخته می‌شود.',
+            'embedding.model': 'مدل بردارسازی',
+            'embedding.chunkSize': 'اندازه هر تکه حافظه (کلمه)',
+            'embedding.chunkSizeHint': 'خالی یعنی ۲۵۰ کلمه. اندازه تازه فقط برای بخش‌هایی به کار می‌رود که از این پس افزوده یا ویرایش می‌شوند.',
+            'embedding.chunkSizeInvalid': 'اندازه تکه حافظه باید عددی صحیح بین {min} و {max} باشد.',
+            'embedding.minilm': 'MiniLM (انگلیسی، سبک)',
+            'embedding.multilingualMinilm': 'MiniLM چندزبانه',
+            'embedding.e5Small': 'E5 کوچک چندزبانه (دقیق‌تر، حجیم‌تر)',
+            'embedding.reembedding': 'در حال بازسازی حافظه کتاب «{title}» با مدل جدید...',
+            'embedding.reembedded': 'حافظه کتاب «{title}» با مدل جدید بازسازی شد.',
+            'embedding.reembedFailed': 'بازسازی حافظه کتاب «{title}» ناموفق بود: {error}',
+        },
+    },
+    en: {
+        name: 'English',
+        dir: 'ltr',
+        intl: 'en-US',
+        messages: {
+            'list.separator': ', ',
+            'list.or': ' or ',
+            'list.semicolon': '; ',
+
+            'app.welcome': 'Welcome to Nora! Getting things ready...',
+            'app.assistantLoading': 'Loading the writing assistant...',
+            'app.assistantReady': 'The writing assistant is ready.',
+            'app.assistantNotReady': 'Please wait, the writing assistant is not ready yet.',
+            'app.workerCrash': 'Critical error while loading the assistant:\n\nFile: {file}\nLine: {line}\n\nMessage: {message}\n\nPlease take a screenshot of this message.',
+            'app.workerCrashShort': 'Critical error while loading the assistant.',
+            'app.noWorkers': 'Your browser does not support Web Workers. The app may not work properly.',
+            'app.startFailed': 'Starting the library failed: {error}',
+
+            'nav.menu': 'Menu',
+            'nav.branch': 'Story branch',
+            'nav.readingMode': 'Reading mode',
+            'nav.exitReadingMode': 'Exit reading mode',
+            'nav.continueStory': 'Start / continue the story (Ctrl+Enter)',
+            'nav.compose': 'Write a passage yourself',
+            'nav.prompt': 'Story prompt and control',
+            'nav.bible': 'Story bible',
+            'nav.upload': 'Upload book',
+            'nav.backup': 'Back up and restore the library',
+            'nav.about': 'About',
+            'nav.settings': 'Settings',
+            'nav.newBook': 'New book',
+            'nav.clearChat': 'Clear chat history',
+            'nav.search': 'Search books...',
+            'nav.library': 'Library',
+
+            'common.close': 'Close',
+            'common.cancel': 'Cancel',
+            'common.confirm': 'OK',
+            'common.save': 'Save',
+            'common.edit': 'Edit',
+            'common.delete': 'Delete',
+
+            'settings.apiKey': 'Enter your API key here...',
+            'settings.modelPro': 'Highest quality, slowest (1 to 5 minutes).',
+            'settings.modelFlash': 'Balanced speed and accuracy, suits most scenarios.',
+            'settings.modelFlashLite': 'Fastest model, decent quality.',
+            'settings.openaiBaseUrl': 'Base URL, e.g. http://localhost:11434/v1',
+            'settings.openaiApiKey': 'API key (optional)',
+            'settings.openaiModels': 'Model names, comma separated',
+            'settings.stream': 'Show text live while writing',
+            'settings.language': 'Language',
+
+            'about.intro': '"Nora" is your creative writing assistant. With a smart, scalable memory, Nora helps you write long and intricate stories without worrying about forgotten details or plot threads.',
+            'about.community': 'This is a community project! Join our Telegram channel for the latest news and updates, and visit our GitHub project to contribute, browse the source code or report issues.',
+            'about.telegram': 'Telegram channel',
+            'about.github': 'Project on GitHub',
+
+            'provider.gemini': 'Gemini',
+            'provider.openai': 'OpenAI-compatible',
+            'provider.missingApiKey': 'Please enter your API key in the settings first.',
+            'provider.missingBaseUrl': 'Please enter the {provider} server address in the settings.',
+            'provider.missingModel': 'Please enter the {provider} model name in the settings.',
+
+            'api.unknownError': 'Unknown error with status {status}',
+            'api.error': 'API error: {message}',
+            'api.badRequest': 'The request sent to the AI model was incomplete or invalid.',
+            'api.forbidden': 'The API key is invalid or lacks the required access.',
+            'api.tooManyRequests': 'Too many requests were sent to the AI server.',
+            'api.serverError': 'The AI server ran into an internal error.',
+            'api.unavailable': 'The AI service is currently unavailable.',
+            'api.safetyBlocked': 'Generation was stopped by Google\'s safety filters.',
+            'api.emptyResponse': 'The API response was empty or invalid.',
+            'api.openaiBadRequest': 'The server rejected the request: {message}',
+            'api.openaiUnauthorized': 'The API key of the OpenAI-compatible server is invalid.',
+            'api.openaiForbidden': 'The API key does not have access to this model.',
+            'api.openaiNotFound': 'Model or server address not found. Check the model name and base URL.',
+            'api.openaiUnavailable': 'The AI server is currently unavailable or the model has not loaded yet.',
+            'api.connectionFailed': 'Could not connect to {baseUrl}. Make sure the server is running and allows CORS.',
+            'api.contentFiltered': 'Generation was stopped by the server\'s content filters.',
+
+            'memory.archiveFailed': 'Archiving memory failed: {error}',
+            'memory.summaryLabel': '[Summary of earlier events: {text}]',
+            'memory.authorLabel': '[Written by the author: {text}]',
+
+            'prompt.description': 'Describe the main idea, genre, characters and outline of your story here. This prompt is the main guide for the AI.',
+            'prompt.placeholder': 'Example: A dark fantasy story about the last survivor of a royal house who...',
+            'prompt.processControl': 'Process control',
+            'prompt.auto': 'Automatic',
+            'prompt.manual': 'Manual',
+            'prompt.manualDescription': 'Enter a one-off instruction for writing the next passage:',
+            'prompt.manualPlaceholder': 'Example: The protagonist finds a mysterious key...',
+            'prompt.provider': 'AI provider',
+            'prompt.modelParams': 'Model and generation parameters',
+            'prompt.paramsHint': 'Empty fields use the model default.',
+            'prompt.saved': 'Prompt saved.',
+            'prompt.required': 'Please enter a prompt for your story first.',
+
+            'param.model': 'Model',
+            'param.defaultModel': 'Settings default ({model})',
+            'param.maxOutputTokens': 'Max output tokens',
+            'param.contextWindow': 'Model context window (tokens)',
+            'param.stopSequences': 'Stop sequences (one per line)',
+            'param.invalid': 'The value of "{label}" is invalid.',
+            'param.tooManyStops': 'At most 4 stop sequences are allowed.',
+
+            'template.title': 'Prompt template',
+            'template.description': 'You can change the section headings and instructions sent to the model for this book. Placeholders such as {{context}} are filled with that section\'s content.',
+            'template.base': 'Base template',
+            'template.edit': 'Edit template sections',
+            'template.reset': 'Reset to base template',
+            'template.empty': 'The "{label}" template cannot be empty.',
+            'template.missing': 'The "{label}" template must contain {placeholders}.',
+            'template.unknown': 'Placeholder {placeholders} is not known in the "{label}" template.',
+            'template.field.prompt': 'Main prompt',
+            'template.field.bible': 'Story reference',
+            'template.field.context': 'Retrieved memory',
+            'template.field.lastPassage': 'Latest passage',
+            'template.field.authorPassage': 'Latest passage (written by the author)',
+            'template.field.nextPassage': 'Next passage',
+            'template.field.draft': 'Passage being rewritten',
+            'template.field.instruction': 'Author instruction',
+            'template.field.revision': 'Rewrite instruction',
+            'template.field.taskFirst': 'Task: first passage',
+            'template.field.taskBridge': 'Task: passage in between',
+            'template.field.taskAuthor': 'Task: continue the author\'s text',
+            'template.field.taskContinue': 'Task: continue the story',
+            'template.field.taskRewrite': 'Task: rewrite',
+            'template.field.summary': 'Memory summary prompt',
+
+            'budget.title': 'Estimated tokens of the last prompt sent',
+            'budget.total': '{used} / {budget} tokens',
+            'budget.dropped': ' (dropped)',
+            'budget.trimmed': ' (trimmed)',
+            'budget.overBudget': 'The prompt and instructions alone exceed the model\'s context budget; the request may be rejected.',
+            'budget.trimmedNotice': 'Part of the context was trimmed to fit the model\'s context budget.',
+            'section.prompt': 'Main prompt',
+            'section.bible': 'Story reference',
+            'section.memory': 'Retrieved memory',
+            'section.previous': 'Latest passage',
+            'section.next': 'Next passage',
+            'section.draft': 'Passage being rewritten',
+            'section.instruction': 'Instruction',
+            'section.task': 'Task',
+
+            'generation.creating': 'Creating the story...',
+            'generation.searching': 'Searching memory... ',
+            'generation.writing': 'Writing the story...',
+            'generation.wait': 'Please wait until the current passage is finished.',
+
+            'message.authorLabel': 'Written by the author',
+            'message.error': 'Error: {message}',
+            'message.emptyText': 'The passage text cannot be empty.',
+            'message.saved': 'Changes saved.',
+            'message.deleteConfirm': 'Click again to delete',
+            'message.deleted': 'Passage deleted.',
+            'message.regenerate': 'Revise and rewrite',
+            'message.inspect': 'Prompt sent',
+            'message.edit': 'Edit manually',
+            'message.insert': 'Insert a new passage after this',
+            'message.fork': 'Fork from here',
+            'message.delete': 'Delete passage',
+            'message.drag': 'Move passage',
+
+            'revision.previous': 'Previous version',
+            'revision.next': 'Next version',
+            'revision.label': 'Version {index} of {count}',
+            'revision.edited': 'Manual edit',
+            'revision.instruction': 'Instruction: {instruction}',
+            'revision.original': 'Original version',
+
+            'compose.placeholder': 'Write your passage here. The AI will continue the story from your text. (Ctrl+Enter to add)',
+            'compose.add': 'Add to story',
+            'compose.empty': 'Please write the passage text first.',
+
+            'regenerate.description': 'Enter your instruction for revising this passage. You can ask for a different tone, better wording or a change to a specific event.',
+            'regenerate.placeholder': 'Example: The ice sword was not destroyed when the protagonist died; it shattered into glowing shards that hung in the air...',
+            'regenerate.confirm': 'Confirm and rewrite',
+            'regenerate.instructionRequired': 'Please enter an instruction for the rewrite.',
+
+            'branch.main': 'Main branch',
+            'branch.numbered': 'Branch {id}',
+            'branch.activated': 'Switched to branch "{title}".',
+
+            'fork.description': 'An alternative timeline is created from this passage. Passages after this point and their memory are not carried over to the new fork.',
+            'fork.branch': 'Branch in this book',
+            'fork.book': 'New book',
+            'fork.namePlaceholder': 'Fork name (optional)',
+            'fork.create': 'Create fork',
+            'fork.bookTitle': '{title} (fork)',
+            'fork.bookCreated': 'Book "{title}" was created from this passage.',
+
+            'book.newTitle': 'New book {id}',
+            'book.defaultTitle': 'Book {id}',
+            'book.export': 'Export book',
+            'book.rename': 'Rename',
+            'book.delete': 'Delete book',
+
+            'schema.const': '{path} must be {value}',
+            'schema.enum': '{path} must be one of {values}',
+            'schema.type': '{path} must be of type {types}',
+            'schema.minLength': '{path} must not be empty',
+            'schema.minimum': '{path} must not be less than {minimum}',
+            'schema.required': '{path} is required',
+
+            'nora.invalidFormat': 'Invalid book file format.',
+            'nora.newerVersion': 'This file was made with a newer version of Nora.',
+            'nora.invalidFile': 'The book file is not valid: {errors}',
+
+            'export.nora': 'Nora file (.nora)',
+            'export.noraEmbeddings': 'Nora file with memory vectors',
+            'export.epub': 'E-book (EPUB)',
+            'export.pdf': 'Print manuscript (PDF)',
+            'export.docx': 'Word (DOCX)',
+            'export.markdown': 'Markdown (MD)',
+            'export.text': 'Plain text (TXT)',
+            'export.folderSync': 'Sync with folder "{folder}"',
+            'export.folderUnbind': 'Disconnect folder',
+            'export.folderBind': 'Connect to a local folder...',
+            'export.downloaded': 'Book "{title}" was downloaded.',
+            'export.downloadedWithoutMemory': 'Book "{title}" was downloaded without the assistant\'s memory because the assistant was unavailable. Its memory will be rebuilt when it is imported.',
+            'export.downloadFailed': 'Downloading the book failed: {error}',
+            'export.empty': 'This book has no passages to export yet.',
+            'export.epubUnavailable': 'The EPUB library did not load. Check your internet connection.',
+            'export.epubCreated': 'EPUB of "{title}" was created.',
+            'export.epubFailed': 'Creating the EPUB failed: {error}',
+            'export.zipUnavailable': 'The zip library did not load.',
+            'export.ready': 'Export of "{title}" is ready.',
+            'export.failed': 'Export failed: {error}',
+            'export.pdfPrinting': 'Choose "Save as PDF" in the print dialog.',
+            'export.pdfFailed': 'Creating the PDF failed: {error}',
+
+            'manuscript.title': 'PDF manuscript export',
+            'manuscript.description': 'The book\'s passages are laid out in standard manuscript format (title page, each chapter on a new page and page numbers) for printing. Choose "Save as PDF" in the print dialog. Firefox does not add the page numbers; turn on "Headers and footers" in its print dialog instead.',
+            'manuscript.font': 'Font',
+            'manuscript.fontIranYekan': 'Iran Yekan',
+            'manuscript.fontSize': 'Font size (pt)',
+            'manuscript.lineHeight': 'Line spacing',
+            'manuscript.pageSize': 'Page size',
+            'manuscript.create': 'Create PDF',
+
+            'import.title': 'Manuscript import preview',
+            'import.bookName': 'Book title',
+            'import.create': 'Create book',
+            'import.indexing': 'Adding "{title}" to memory...',
+            'import.uploaded': 'Book "{title}" was uploaded.',
+            'import.uploadFailed': 'Uploading the book failed: {error}',
+            'import.noText': 'No text to import was found in this file.',
+            'import.readFailed': 'Reading the manuscript failed: {error}',
+            'import.invalidDocx': 'The DOCX file is not valid.',
+            'import.summary': '"{file}" was split into {count} passages ({length} characters). Merge passages with the previous one where needed.',
+            'import.passageInfo': '{index} · {length} characters',
+            'import.merge': 'Merge with previous',
+            'zip.readerUnavailable': 'The zip reader library did not load.',
+
+            'backup.description': 'All books, with their order, per-book settings, long-term memory and the app settings, are saved in one file.',
+            'backup.includeKeys': 'Include API keys',
+            'backup.download': 'Download backup file',
+            'backup.merge': 'Add to library',
+            'backup.replace': 'Replace library',
+            'backup.conflict': 'If a book with the same title exists',
+            'backup.conflictRename': 'Keep both (new title)',
+            'backup.conflictSkip': 'Skip the backed-up book',
+            'backup.conflictOverwrite': 'Replace the current book',
+            'backup.restoreSettings': 'Also restore app settings',
+            'backup.restore': 'Restore from file...',
+            'backup.zipUnavailable': 'The zip library did not load. Check your internet connection.',
+            'backup.empty': 'The library is empty.',
+            'backup.creating': 'Creating the backup file...',
+            'backup.created': 'Backup of {count} books was created.',
+            'backup.createdWithoutMemory': 'Backup of {count} books was created. The memory of {missing} books was unavailable and will be rebuilt when they are restored.',
+            'backup.failed': 'Creating the backup failed: {error}',
+            'backup.replaceConfirm': 'All current books and their memory will be deleted and replaced with the backup\'s content. Continue?',
+            'backup.restoreFailed': 'Restoring the backup failed: {error}',
+            'backup.notBackup': 'This is not a Nora backup file.',
+            'backup.newerVersion': 'This backup was made with a newer version of Nora.',
+            'backup.missingFile': 'File {file} was not found in the backup.',
+            'backup.restored': '{count} books were restored.',
+            'backup.restoredWithSkipped': '{count} books were restored and {skipped} duplicate books were skipped.',
+
+            'storage.transactionAborted': 'The database transaction was aborted.',
+            'storage.newerVersionOpen': 'A newer version of Nora is open in another tab. Please reload this page.',
+            'storage.blocked': 'Close other Nora tabs to upgrade the database.',
+            'storage.unavailable': 'The browser database is unavailable; books are stored in local storage.',
+            'storage.loadFailed': 'Loading books from the browser database failed ({error}); for this session, books are stored in local storage.',
+            'storage.quotaExceeded': 'Browser storage is full and the latest changes were not saved. Download and delete old books or free up space on the device.',
+            'storage.saveFailed': 'Saving books failed: {error}',
+
+            'folder.unsupported': 'Your browser does not support syncing with a local folder.',
+            'folder.bound': 'Book "{title}" is now connected to folder "{folder}".',
+            'folder.bindFailed': 'Connecting the folder failed: {error}',
+            'folder.unbound': 'Book "{title}" was disconnected from its folder. The folder\'s files were left untouched.',
+            'folder.unavailable': 'This book\'s folder is not available; connect it again.',
+            'folder.permissionDenied': 'Permission to access the folder was not granted.',
+            'folder.synced': 'Book "{title}" was synced with its folder.',
+            'folder.syncFailed': 'Folder sync failed: {error}',
+            'folder.editedRevision': 'Edited in the local folder',
+            'folder.confirmRemoval': '{count} file(s) were removed from the folder of "{title}":\n\n{files}\n\nRemove the matching passages from the book and its memory too? If you cancel, the files are written to the folder again.',
+
+            'bible.title': 'Story bible',
+            'bible.description': 'Characters, places, items, factions and rules of the story world. Any entry whose name or alias appears in the recent passages or in your instruction is automatically passed to the AI.',
+            'bible.type': 'Type',
+            'bible.name': 'Name',
+            'bible.aliases': 'Aliases (comma separated)',
+            'bible.details': 'Description',
+            'bible.newEntry': 'New entry',
+            'bible.saveEntry': 'Save entry',
+            'bible.addEntry': 'Add entry',
+            'bible.saveChanges': 'Save changes',
+            'bible.empty': 'No entries yet.',
+            'bible.nameRequired': 'Please enter a name for the entry.',
+            'bible.saved': 'Entry "{name}" saved.',
+            'bible.otherNames': ' (also known as: {aliases})',
+            'bible.type.character': 'Character',
+            'bible.type.location': 'Location',
+            'bible.type.item': 'Item',
+            'bible.type.faction': 'Faction',
+            'bible.type.rule': 'Rule',
+
+            'inspector.params': 'Parameters',
+            'inspector.budget': 'Context budget',
+            'inspector.context': 'Retrieved memory',
+            'inspector.fullPrompt': 'Full prompt',
+            'inspector.copy': 'Copy prompt',
+            'inspector.editedRevision': 'This version was edited manually and has no recorded prompt.',
+            'inspector.noRecord': 'No prompt was recorded for this passage.',
+            'inspector.modelDefaults': 'Model defaults',
+            'inspector.notRecorded': 'Not recorded',
+            'inspector.total': 'Total: {used} of {budget} tokens',
+            'inspector.noContext': 'Nothing was retrieved from memory.',
+            'inspector.summaryChunk': 'Summary — similarity {score}',
+            'inspector.passageChunk': 'Passage — similarity {score}',
+            'inspector.excluded': ' — not sent because of the budget',
+            'inspector.chunkSource': ' — passage {passage}, characters {start}–{end}',
+            'inspector.copied': 'Prompt copied.',
+            'inspector.copyFailed': 'Could not copy the prompt.',
+            'embedding.title': 'Long-term memory',
+            'embedding.description': 'The model that turns passages into vectors for memory search. Pick a multilingual model for Persian books. Changing the model rebuilds this book\'s memory in the background.',
+            'embedding.model': 'Embedding model',
+            'embedding.chunkSize': 'Memory chunk size (words)',
+            'embedding.chunkSizeHint': 'Leave empty for 250 words. A new size only applies to passages added or edited from now on.',
+            'embedding.chunkSizeInvalid': 'The memory chunk size must be a whole number between {min} and {max}.',
+            'embedding.minilm': 'MiniLM (English, lightweight)',
+            'embedding.multilingualMinilm': 'Multilingual MiniLM',
+            'embedding.e5Small': 'Multilingual E5 small (more accurate, larger)',
+            'embedding.reembedding': 'Rebuilding the memory of "{title}" with the new model...',
+            'embedding.reembedded': 'The memory of "{title}" was rebuilt with the new model.',
+            'embedding.reembedFailed': 'Rebuilding the memory of "{title}" failed: {error}',
+        },
+    },
+};
@@ -1,7 +1,7 @@
 'use strict';
 
 // *** CHANGED: Updated cache name for new version ***
-const CACHE_NAME = 'nora-novelist-cache-v1.1.2';
+const CACHE_NAME = 'nora-novelist-cache-v1.3.0';
 
 // *** ADDED: List of essential model files to pre-cache for faster initial load ***
 const modelUrlsToCache = [
@@ -19,14 +19,14 @@ const appShellUrlsToCache = [
   './',
   './index.html',
   './worker.js',
+  './locales.js',
   './manifest.json',
   './Icons/icon-192x192.png',
   './Icons/icon-512x512.png',
   './Fonts/Iran%20Yekan%20Medium.ttf',
   './Fonts/San%20Francisco%20bold.ttf',
   // It's good practice to also cache the libraries used by the worker
-  './libs/transformers.min.js',
-  './libs/chromadb.mjs'
+  './libs/transformers.min.js'
 ];
 
 // Combine both lists
@@ -2,24 +2,45 @@
 
 // Import libraries from the local 'libs' folder
 import { pipeline, env } from './libs/transformers.min.js';
-import { ChromaClient } from './libs/chromadb.mjs';
 
 env.allowLocalModels = false;
 env.useBrowserCache = true;
 
 const log = (message) => self.postMessage({ type: 'log', payload: message });
 const error = (message) => self.postMessage({ type: 'error', payload: message });
+// Replies to messages sent with a requestId, which the main thread awaits as a promise.
+const respond = (requestId, result) => self.postMessage({ type: 'request-done', payload: { requestId, result } });
+const respondError = (requestId, message) => self.postMessage({ type: 'request-failed', payload: { requestId, message } });
 
 const ACTIVE_MEMORY_CHAPTER_LIMIT = 20;const ARCHIVE_BATCH_SIZE = 1;
 
+// Collections record the model their vectors were made with; ones created before that was recorded used MiniLM.
+const DEFAULT_EMBEDDING_MODEL = 'Xenova/all-MiniLM-L6-v2';
+// E5 models were trained with these prefixes and retrieve noticeably worse without them.
+const EMBEDDING_MODEL_PREFIXES = {
+    'Xenova/multilingual-e5-small': { query: 'query: ', passage: 'passage: ' },
+};
+const REEMBED_BATCH_SIZE = 16;
+// Chunks grow sentence by sentence up to the target; a short last sentence is repeated at the start of the next chunk.
+const CHUNK_TARGET_WORDS = 250;
+const CHUNK_OVERLAP_WORDS = 50;
+const MEMORY_DB_NAME = 'nora_memory';
+const MEMORY_DB_VERSION = 1;
+
 let embeddingPipeline = null;
-let chromaClient = null;
+let vectorStore = null;
+const embeddingPipelines = new Map();
+// Re-embedding jobs by chat id; other work on that chat's memory waits for them to finish.
+const reembeddingJobs = new Map();
+// Chat ids whose memory is being cleared or deleted; their re-embedding jobs stop at the next batch.
+const cancelledReembeddings = new Set();
 
 class TransformerEmbeddingFunction {
-    constructor(pipeline) { this.pipeline = pipeline; }
-    async generate(documents) {
+    constructor(pipeline, prefixes = {}) { this.pipeline = pipeline; this.prefixes = prefixes; }
+    async generate(documents, kind = 'passage') {
         try {
-            let embeddings = await this.pipeline(documents, { pooling: 'mean', normalize: true });
+            const prefix = this.prefixes[kind] || '';
+            let embeddings = await this.pipeline(documents.map(document => prefix + document), { pooling: 'mean', normalize: true });
             return embeddings.tolist();
         } catch (e) {
             error(`Embedding generation failed: ${e.message}`);
@@ -28,11 +49,217 @@ class TransformerEmbeddingFunction {
     }
 }
 
+// --- Local vector store (IndexedDB) ---
+// Implements the subset of the Chroma collection API used by this worker
+// (getOrCreateCollection / add / get / query / delete) so memory persists
+// across reloads and works offline without a Chroma server.
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted.'));
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function openMemoryDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(MEMORY_DB_NAME, MEMORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('collections')) {
+                db.createObjectStore('collections', { keyPath: 'name' });
+            }
+            if (!db.objectStoreNames.contains('records')) {
+                const records = db.createObjectStore('records', { keyPath: ['collection', 'id'] });
+                records.createIndex('by_collection', 'collection');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Memory database is blocked by another open tab.'));
+    });
+}
+
+function matchesWhere(metadata, where) {
+    if (!where) return true;
+    return Object.entries(where).every(([key, condition]) => {
+        const value = metadata ? metadata[key] : undefined;
+        if (condition !== null && typeof condition === 'object') {
+            if ('$eq' in condition) return value === condition.$eq;
+            if ('$ne' in condition) return value !== condition.$ne;
+            if ('$in' in condition) return condition.$in.includes(value);
+            if ('$nin' in condition) return !condition.$nin.includes(value);
+            throw new Error(`Unsupported where operator in ${JSON.stringify(condition)}`);
+        }
+        return value === condition;
+    });
+}
+
+function cosineDistance(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 1;
+    return 1 - dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+class LocalCollection {
+    constructor(store, name, embeddingFunction, metadata) {
+        this.store = store;
+        this.name = name;
+        this.embeddingFunction = embeddingFunction;
+        this.metadata = metadata || {};
+    }
+
+    async _readRecords() {
+        const tx = this.store.db.transaction('records', 'readonly');
+        const records = await promisifyRequest(tx.objectStore('records').index('by_collection').getAll(this.name));
+        return records;
+    }
+
+    async _embed(documents, kind) {
+        if (!this.embeddingFunction) throw new Error(`Collection ${this.name} has no embedding function.`);
+        const embeddings = await this.embeddingFunction.generate(documents, kind);
+        if (!embeddings || embeddings.length !== documents.length) {
+            throw new Error(`Could not compute embeddings for collection ${this.name}.`);
+        }
+        return embeddings;
+    }
+
+    // Unlike Chroma, adding an existing id overwrites it (upsert), which is what
+    // re-adding a regenerated passage expects.
+    async add({ ids, documents = [], metadatas = [], embeddings }) {
+        if (!ids || ids.length === 0) return;
+        if (documents.length !== ids.length) throw new Error('ids and documents must have the same length.');
+        const vectors = embeddings || await this._embed(documents, 'passage');
+        const tx = this.store.db.transaction('records', 'readwrite');
+        const records = tx.objectStore('records');
+        ids.forEach((id, i) => {
+            records.put({
+                collection: this.name,
+                id,
+                document: documents[i],
+                metadata: metadatas[i] || {},
+                embedding: Float32Array.from(vectors[i]),
+            });
+        });
+        await transactionDone(tx);
+    }
+
+    async get({ ids, where, include = ['documents', 'metadatas'] } = {}) {
+        let records = await this._readRecords();
+        if (ids) records = records.filter(r => ids.includes(r.id));
+        records = records.filter(r => matchesWhere(r.metadata, where));
+        const result = { ids: records.map(r => r.id) };
+        if (include.includes('documents')) result.documents = records.map(r => r.document);
+        if (include.includes('metadatas')) result.metadatas = records.map(r => r.metadata);
+        if (include.includes('embeddings')) result.embeddings = records.map(r => Array.from(r.embedding));
+        return result;
+    }
+
+    async query({ queryTexts, queryEmbeddings, nResults = 10, where }) {
+        const queries = queryEmbeddings || await this._embed(queryTexts, 'query');
+        const records = (await this._readRecords()).filter(r => matchesWhere(r.metadata, where));
+        const result = { ids: [], documents: [], metadatas: [], distances: [] };
+        for (const queryVector of queries) {
+            const ranked = records
+                .map(r => ({ record: r, distance: cosineDistance(queryVector, r.embedding) }))
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, nResults);
+            result.ids.push(ranked.map(r => r.record.id));
+            result.documents.push(ranked.map(r => r.record.document));
+            result.metadatas.push(ranked.map(r => r.record.metadata));
+            result.distances.push(ranked.map(r => r.distance));
+        }
+        return result;
+    }
+
+    async delete({ ids, where } = {}) {
+        const targets = await this.get({ ids, where, include: [] });
+        if (targets.ids.length === 0) return [];
+        const tx = this.store.db.transaction('records', 'readwrite');
+        const records = tx.objectStore('records');
+        targets.ids.forEach(id => records.delete([this.name, id]));
+        await transactionDone(tx);
+        return targets.ids;
+    }
+
+    async modify({ metadata }) {
+        const tx = this.store.db.transaction('collections', 'readwrite');
+        const collections = tx.objectStore('collections');
+        const entry = await promisifyRequest(collections.get(this.name));
+        this.metadata = { ...(entry ? entry.metadata : {}), ...metadata };
+        collections.put({ ...(entry || { name: this.name, createdAt: Date.now() }), metadata: this.metadata });
+        await transactionDone(tx);
+    }
+
+    async count() {
+        const tx = this.store.db.transaction('records', 'readonly');
+        return promisifyRequest(tx.objectStore('records').index('by_collection').count(this.name));
+    }
+}
+
+class LocalVectorStore {
+    constructor(db) { this.db = db; }
+
+    static async open() {
+        return new LocalVectorStore(await openMemoryDatabase());
+    }
+
+    async getOrCreateCollection({ name, embeddingFunction, metadata }) {
+        const tx = this.db.transaction('collections', 'readwrite');
+        const collections = tx.objectStore('collections');
+        let entry = await promisifyRequest(collections.get(name));
+        if (!entry) {
+            entry = { name, metadata: metadata || {}, createdAt: Date.now() };
+            collections.put(entry);
+        }
+        await transactionDone(tx);
+        return new LocalCollection(this, name, embeddingFunction, entry.metadata);
+    }
+
+    async deleteCollection({ name }) {
+        const tx = this.db.transaction(['collections', 'records'], 'readwrite');
+        tx.objectStore('collections').delete(name);
+        const records = tx.objectStore('records');
+        const keys = await promisifyRequest(records.index('by_collection').getAllKeys(name));
+        keys.forEach(key => records.delete(key));
+        await transactionDone(tx);
+    }
+}
+
+// Models are downloaded on first use and shared by every book that uses them.
+function loadEmbeddingPipeline(model) {
+    if (!embeddingPipelines.has(model)) {
+        log(`Loading embedding model ${model}...`);
+        const loading = pipeline('feature-extraction', model, { quantized: true });
+        loading.catch(() => embeddingPipelines.delete(model));
+        embeddingPipelines.set(model, loading);
+    }
+    return embeddingPipelines.get(model);
+}
+
+async function createEmbeddingFunction(model) {
+    return new TransformerEmbeddingFunction(await loadEmbeddingPipeline(model), EMBEDDING_MODEL_PREFIXES[model]);
+}
+
 async function initialize() {
     try {
         log('Initializing worker and loading embedding model...');
-        embeddingPipeline = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2', { quantized: true });
-        chromaClient = new ChromaClient();
+        // The store opens first so exports, which only read it, work even if the model cannot be loaded.
+        vectorStore = await LocalVectorStore.open();
+        embeddingPipeline = await loadEmbeddingPipeline(DEFAULT_EMBEDDING_MODEL);
         log('Worker initialized successfully.');
         self.postMessage({ type: 'ready' });
     } catch (e) {
@@ -40,37 +267,194 @@ async function initialize() {
     }
 }
 
-function chunkText(text, chunkSize = 250, overlap = 50) {
-    const words = text.split(/\s+/);
+// --- Chunking ---
+// Passages are cut at paragraph and sentence boundaries so a retrieved chunk reads as whole sentences.
+// Every piece is a [start, end) range of the original text, which is what ends up in the chunk metadata.
+const SENTENCE_END = /[.!?؟۔…]/;
+const OPENING_QUOTES = '«“';
+const CLOSING_QUOTES = '»”';
+const DIALOGUE_START = /^["«“\-–—]/;
+const ABBREVIATION = /\b(?:Mr|Mrs|Ms|Dr|Prof|St|Jr|Sr|vs|e\.g|i\.e)$/i;
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+function findParagraphs(text) {
+    const paragraphs = [];
+    const separator = /\n[ \t]*\n\s*/g;
+    let start = 0;
+    for (const match of text.matchAll(separator)) {
+        paragraphs.push({ start, end: match.index });
+        start = match.index + match[0].length;
+    }
+    paragraphs.push({ start, end: text.length });
+    return paragraphs.map(range => trimRange(text, range)).filter(range => range.end > range.start);
+}
+
+function trimRange(text, { start, end }) {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    return { start, end };
+}
+
+// Sentence ends inside quotation marks do not count, so a quoted line of dialogue stays one sentence.
+function findSentences(text, { start, end }) {
+    const sentences = [];
+    let sentenceStart = start;
+    let quoteDepth = 0;
+    let inStraightQuote = false;
+    for (let i = start; i < end; i++) {
+        const char = text[i];
+        if (OPENING_QUOTES.includes(char)) quoteDepth++;
+        else if (CLOSING_QUOTES.includes(char)) quoteDepth = Math.max(0, quoteDepth - 1);
+        else if (char === '"') inStraightQuote = !inStraightQuote;
+        if (!SENTENCE_END.test(char) || quoteDepth > 0 || inStraightQuote) continue;
+        if (char === '.' && ABBREVIATION.test(text.slice(sentenceStart, i))) continue;
+        let boundary = i + 1;
+        while (boundary < end && (SENTENCE_END.test(text[boundary]) || CLOSING_QUOTES.includes(text[boundary]) || ')]\'’'.includes(text[boundary]))) boundary++;
+        if (boundary < end && !/\s/.test(text[boundary])) continue;
+        sentences.push({ start: sentenceStart, end: boundary });
+        sentenceStart = boundary;
+        i = boundary - 1;
+    }
+    sentences.push({ start: sentenceStart, end });
+    return sentences.map(range => trimRange(text, range)).filter(range => range.end > range.start);
+}
+
+// Last resort for a run of text with no usable punctuation.
+function splitByWords(text, { start, end }, targetWords) {
+    const words = [...text.slice(start, end).matchAll(/\S+/g)];
+    const pieces = [];
+    for (let i = 0; i < words.length; i += targetWords) {
+        const first = words[i];
+        const last = words[Math.min(i + targetWords, words.length) - 1];
+        pieces.push({ start: start + first.index, end: start + last.index + last[0].length });
+    }
+    return pieces;
+}
+
+// A dialogue paragraph (one speaker's turn) is kept whole whenever it fits in a chunk.
+function splitIntoUnits(text, targetWords) {
+    const units = [];
+    for (const paragraph of findParagraphs(text)) {
+        const paragraphWords = countWords(text.slice(paragraph.start, paragraph.end));
+        const isDialogue = DIALOGUE_START.test(text[paragraph.start]);
+        const sentences = isDialogue && paragraphWords <= targetWords ? [paragraph] : findSentences(text, paragraph);
+        const pieces = sentences.flatMap(sentence => countWords(text.slice(sentence.start, sentence.end)) > targetWords ? splitByWords(text, sentence, targetWords) : [sentence]);
+        pieces.forEach((piece, i) => units.push({ ...piece, words: countWords(text.slice(piece.start, piece.end)), paragraphStart: i === 0, paragraphWords }));
+    }
+    return units;
+}
+
+function chunkText(text, { targetWords = CHUNK_TARGET_WORDS, overlapWords = CHUNK_OVERLAP_WORDS } = {}) {
     const chunks = [];
-    let i = 0;
-    while (i < words.length) {
-        const chunk = words.slice(i, i + chunkSize).join(' ');
-        chunks.push(chunk);
-        i += chunkSize - overlap;
+    let current = [];
+    let currentWords = 0;
+    let hasNewUnits = false;
+    const flush = () => {
+        const start = current[0].start;
+        const end = current[current.length - 1].end;
+        chunks.push({ text: text.slice(start, end), start, end });
+        const last = current[current.length - 1];
+        current = last.words <= overlapWords && current.length > 1 ? [last] : [];
+        currentWords = current.length > 0 ? last.words : 0;
+        hasNewUnits = false;
+    };
+    for (const unit of splitIntoUnits(text, targetWords)) {
+        const overflows = currentWords + unit.words > targetWords;
+        // Past half the target, a paragraph that will not fit starts a new chunk instead of being split.
+        const paragraphOverflows = unit.paragraphStart && currentWords >= targetWords / 2 && currentWords + unit.paragraphWords > targetWords;
+        if (hasNewUnits && (overflows || paragraphOverflows)) flush();
+        current.push(unit);
+        currentWords += unit.words;
+        hasNewUnits = true;
     }
+    if (hasNewUnits) flush();
     return chunks;
 }
 
-async function getOrCreateCollections(chatId) {
-    const embedder = new TransformerEmbeddingFunction(embeddingPipeline);
-    const activeCollectionName = `chat_${chatId}_active`;
-    const archiveCollectionName = `chat_${chatId}_archive`;
-    const activeCollection = await chromaClient.getOrCreateCollection({ name: activeCollectionName, embeddingFunction: embedder });
-    const archiveCollection = await chromaClient.getOrCreateCollection({ name: archiveCollectionName, embeddingFunction: embedder });
-    return { activeCollection, archiveCollection };
+// embeddingModel only applies when the collections do not exist yet; existing ones keep the model they record.
+// Without embed, the collections can only be read and the embedding model is not loaded.
+async function openCollections(chatId, embeddingModel = DEFAULT_EMBEDDING_MODEL, { embed = true } = {}) {
+    const metadata = { embedding_model: embeddingModel };
+    const activeCollection = await vectorStore.getOrCreateCollection({ name: `chat_${chatId}_active`, metadata });
+    const archiveCollection = await vectorStore.getOrCreateCollection({ name: `chat_${chatId}_archive`, metadata });
+    const model = activeCollection.metadata.embedding_model || DEFAULT_EMBEDDING_MODEL;
+    if (embed) {
+        const embedder = await createEmbeddingFunction(model);
+        activeCollection.embeddingFunction = embedder;
+        archiveCollection.embeddingFunction = embedder;
+    }
+    return { activeCollection, archiveCollection, embeddingModel: model };
 }
 
-async function handleAddToMemory({ chatId, messageId, text }) {
-    if (!embeddingPipeline || !chromaClient) { error('Worker is not initialized.'); return; }
+// Stops a running re-embedding job before its collections are emptied, so it cannot write the old records back.
+async function cancelReembedding(chatId) {
+    const key = String(chatId);
+    const job = reembeddingJobs.get(key);
+    if (!job) return;
+    cancelledReembeddings.add(key);
+    await job.catch(() => {});
+    cancelledReembeddings.delete(key);
+}
+
+async function getOrCreateCollections(chatId, embeddingModel, options) {
+    const job = reembeddingJobs.get(String(chatId));
+    if (job) await job.catch(() => {});
+    return openCollections(chatId, embeddingModel, options);
+}
+
+// Re-embeds every chunk and summary of a chat with a new model. The model is recorded only at the end,
+// so a job cut short (e.g. by closing the tab) runs again the next time the main thread asks for the model.
+async function reembedCollections(chatId, embeddingModel) {
+    const { activeCollection, archiveCollection, embeddingModel: currentModel } = await openCollections(chatId, embeddingModel);
+    if (currentModel === embeddingModel) return;
+    log(`Re-embedding memory of chat ${chatId} from ${currentModel} to ${embeddingModel}...`);
+    self.postMessage({ type: 'reembedding-started', payload: { chatId, embeddingModel } });
+    const embedder = await createEmbeddingFunction(embeddingModel);
+    let count = 0;
+    for (const collection of [activeCollection, archiveCollection]) {
+        const items = await collection.get({ include: ['documents', 'metadatas'] });
+        for (let i = 0; i < items.ids.length; i += REEMBED_BATCH_SIZE) {
+            if (cancelledReembeddings.has(String(chatId))) { log(`Re-embedding of chat ${chatId} cancelled.`); return; }
+            const documents = items.documents.slice(i, i + REEMBED_BATCH_SIZE);
+            const embeddings = await embedder.generate(documents, 'passage');
+            if (embeddings.length !== documents.length) throw new Error(`Could not compute embeddings with ${embeddingModel}.`);
+            await collection.add({ ids: items.ids.slice(i, i + REEMBED_BATCH_SIZE), documents, metadatas: items.metadatas.slice(i, i + REEMBED_BATCH_SIZE), embeddings });
+        }
+        count += items.ids.length;
+    }
+    await activeCollection.modify({ metadata: { embedding_model: embeddingModel } });
+    await archiveCollection.modify({ metadata: { embedding_model: embeddingModel } });
+    log(`Re-embedded ${count} memory entries of chat ${chatId} with ${embeddingModel}.`);
+    self.postMessage({ type: 'reembedding-done', payload: { chatId, embeddingModel, count } });
+}
+
+async function handleSetEmbeddingModel({ chatId, embeddingModel }) {
+    if (!embeddingPipeline || !vectorStore) { error('Worker is not initialized.'); return; }
+    const key = String(chatId);
+    const previous = reembeddingJobs.get(key) || Promise.resolve();
+    const job = previous.catch(() => {}).then(() => reembedCollections(chatId, embeddingModel));
+    reembeddingJobs.set(key, job);
+    try {
+        await job;
+    } catch (e) {
+        error(`Failed to re-embed memory of chat ${chatId} with ${embeddingModel}: ${e.message}`);
+        self.postMessage({ type: 'reembedding-failed', payload: { chatId, embeddingModel, message: e.message } });
+    } finally {
+        if (reembeddingJobs.get(key) === job) reembeddingJobs.delete(key);
+    }
+}
+
+async function handleAddToMemory({ chatId, messageId, text, source = 'ai', chunkSize }) {
+    if (!embeddingPipeline || !vectorStore) { error('Worker is not initialized.'); return; }
     log(`Adding text from message ${messageId} to memory for chat ${chatId}...`);
     try {
         const { activeCollection } = await getOrCreateCollections(chatId);
-        const chunks = chunkText(text);
+        const chunks = chunkText(text, { targetWords: chunkSize });
         if (chunks.length === 0) return;
         const ids = chunks.map((_, i) => `msg_${messageId}_chunk_${i}`);
-        const metadatas = chunks.map(() => ({ chapter_id: messageId, timestamp: Date.now() }));
-        await activeCollection.add({ ids, documents: chunks, metadatas });
+        const metadatas = chunks.map(chunk => ({ chapter_id: messageId, source, timestamp: Date.now(), chunk_start: chunk.start, chunk_end: chunk.end }));
+        await activeCollection.add({ ids, documents: chunks.map(chunk => chunk.text), metadatas });
         log(`Successfully added ${chunks.length} chunks to active memory for chat ${chatId}.`);
         self.postMessage({ type: 'add-to-memory-done', payload: { messageId } });
 
@@ -81,27 +465,45 @@ async function handleAddToMemory({ chatId, messageId, text }) {
     }
 }
 
-async function handleGetContext({ chatId, queryText, messageId, regenerationInstruction }) {
-    if (!embeddingPipeline || !chromaClient) { error('Worker is not initialized.'); return; }
+// Labels arrive from the page in the book's language; `{text}` marks where the retrieved text goes.
+const DEFAULT_MEMORY_LABELS = { summary: '[خلاصه از گذشته: {text}]', author: '[نوشته نویسنده: {text}]' };
+const applyMemoryLabel = (label, text) => label.replace('{text}', () => text);
+
+async function handleGetContext({ chatId, queryText, messageId, regenerationInstruction, labels = DEFAULT_MEMORY_LABELS }) {
+    if (!embeddingPipeline || !vectorStore) { error('Worker is not initialized.'); return; }
     log(`Retrieving context for chat ${chatId} with query: "${queryText}"`);
     try {
         const { activeCollection, archiveCollection } = await getOrCreateCollections(chatId);
-        let context = [];
-        
-        const activeResults = await activeCollection.query({ queryTexts: [queryText], nResults: 5 });
-        if (activeResults.documents && activeResults.documents[0].length > 0) {
-            context.push(...activeResults.documents[0]);
-        }
+        // Each item carries its cosine similarity to the query so the prompt inspector can show why it was picked.
+        const context = [];
 
         const archiveResults = await archiveCollection.query({ queryTexts: [queryText], nResults: 2 });
         if (archiveResults.documents && archiveResults.documents[0].length > 0) {
-            context.unshift(...archiveResults.documents[0].map(summary => `[خلاصه از گذشته: ${summary}]`));
+            context.push(...archiveResults.documents[0].map((summary, i) => ({ kind: 'summary', id: archiveResults.ids[0][i], text: applyMemoryLabel(labels.summary, summary), score: 1 - archiveResults.distances[0][i] })));
         }
 
-        const uniqueContext = [...new Set(context)];
-        const formattedContext = uniqueContext.join("\n---\n");
-        log(`Retrieved context for chat ${chatId}: ${formattedContext.substring(0, 200)}...`);
-        self.postMessage({ type: 'context-retrieved', payload: { context: formattedContext, messageId, regenerationInstruction } });
+        const activeResults = await activeCollection.query({ queryTexts: [queryText], nResults: 5 });
+        if (activeResults.documents && activeResults.documents[0].length > 0) {
+            // Passages the author wrote are canon; label them so the model does not treat them as its own draft.
+            // Chunks stored before offsets were recorded have no start/end.
+            context.push(...activeResults.documents[0].map((document, i) => {
+                const metadata = activeResults.metadatas[0][i] || {};
+                return {
+                    kind: 'passage',
+                    id: activeResults.ids[0][i],
+                    text: metadata.source === 'user' ? applyMemoryLabel(labels.author, document) : document,
+                    score: 1 - activeResults.distances[0][i],
+                    messageId: metadata.chapter_id,
+                    start: metadata.chunk_start,
+                    end: metadata.chunk_end,
+                };
+            }));
+        }
+
+        // Summaries first, then passages by relevance; the prompt builder drops items from the end when over budget.
+        const uniqueContext = context.filter((item, i) => context.findIndex(other => other.text === item.text) === i);
+        log(`Retrieved ${uniqueContext.length} context items for chat ${chatId}: ${uniqueContext.map(item => item.text).join(" | ").substring(0, 200)}...`);
+        self.postMessage({ type: 'context-retrieved', payload: { context: uniqueContext, messageId, regenerationInstruction } });
     } catch (e) {
         error(`Failed to get context: ${e.message}`);
     }
@@ -118,7 +520,11 @@ async function runMaintenance(chatId) {
             return;
         }
 
-        const chapterIds = [...new Set(allItems.metadatas.map(m => m.chapter_id))].sort((a, b) => a - b);
+        // Archive in story order when the main thread has told us about moved or inserted passages;
+        // chapters it has not listed yet are newer appends and sort by id after the known ones.
+        const chapterOrder = activeCollection.metadata.chapter_order || [];
+        const position = (chapterId) => { const index = chapterOrder.indexOf(chapterId); return index === -1 ? chapterOrder.length + chapterId : index; };
+        const chapterIds = [...new Set(allItems.metadatas.map(m => m.chapter_id))].sort((a, b) => position(a) - position(b));
         
         if (chapterIds.length > ACTIVE_MEMORY_CHAPTER_LIMIT) {
             const chaptersToArchive = chapterIds.slice(0, chapterIds.length - ACTIVE_MEMORY_CHAPTER_LIMIT).slice(0, ARCHIVE_BATCH_SIZE);
@@ -168,10 +574,135 @@ async function handleArchiveData({ chatId, chapterIdToArchive, summary }) {
     }
 }
 
-async function handleCreateCollection({ chatId }) {
+async function removeMessageFromMemory(chatId, messageId) {
+    const { activeCollection, archiveCollection } = await getOrCreateCollections(chatId);
+    const removedChunks = await activeCollection.delete({ where: { chapter_id: messageId } });
+    const removedSummaries = await archiveCollection.delete({ where: { original_chapter_id: messageId } });
+    return removedChunks.length + removedSummaries.length;
+}
+
+// Replaces everything remembered about a message (active chunks and any archived summary)
+// with the given text, e.g. after the author switches to another revision.
+async function handleReindexMessage({ chatId, messageId, text, source, chunkSize }) {
+    if (!embeddingPipeline || !vectorStore) { error('Worker is not initialized.'); return; }
+    log(`Re-indexing message ${messageId} in chat ${chatId}...`);
+    try {
+        const removed = await removeMessageFromMemory(chatId, messageId);
+        log(`Removed ${removed} stale memory entries for message ${messageId}.`);
+        await handleAddToMemory({ chatId, messageId, text, source, chunkSize });
+    } catch (e) {
+        error(`Failed to re-index message ${messageId}: ${e.message}`);
+    }
+}
+
+// Copies the memory of the given messages (active chunks and archived summaries, with their
+// embeddings) into another chat's collections. Used when a story is forked from a passage.
+async function handleCloneMemory({ sourceChatId, targetChatId, messageIds }) {
+    if (!embeddingPipeline || !vectorStore) { error('Worker is not initialized.'); return; }
+    log(`Cloning memory of ${messageIds.length} message(s) from chat ${sourceChatId} to chat ${targetChatId}...`);
+    try {
+        const source = await getOrCreateCollections(sourceChatId);
+        const target = await getOrCreateCollections(targetChatId, source.embeddingModel);
+        // Vectors are only reusable when the target already existed with the same model.
+        const sameModel = source.embeddingModel === target.embeddingModel;
+        const include = sameModel ? ['documents', 'metadatas', 'embeddings'] : ['documents', 'metadatas'];
+
+        const activeItems = await source.activeCollection.get({ where: { chapter_id: { $in: messageIds } }, include });
+        await target.activeCollection.add({ ids: activeItems.ids, documents: activeItems.documents, metadatas: activeItems.metadatas, embeddings: activeItems.embeddings });
+
+        const archiveItems = await source.archiveCollection.get({ where: { original_chapter_id: { $in: messageIds } }, include });
+        await target.archiveCollection.add({ ids: archiveItems.ids, documents: archiveItems.documents, metadatas: archiveItems.metadatas, embeddings: archiveItems.embeddings });
+
+        log(`Cloned ${activeItems.ids.length} chunks and ${archiveItems.ids.length} summaries into chat ${targetChatId}.`);
+    } catch (e) {
+        error(`Failed to clone memory from chat ${sourceChatId} to chat ${targetChatId}: ${e.message}`);
+    }
+}
+
+async function handleForgetMessage({ chatId, messageId }) {
+    if (!vectorStore) { error('Worker is not initialized.'); return; }
+    try {
+        const removed = await removeMessageFromMemory(chatId, messageId);
+        log(`Removed ${removed} memory entries for deleted message ${messageId} in chat ${chatId}.`);
+    } catch (e) {
+        error(`Failed to remove message ${messageId} from memory: ${e.message}`);
+    }
+}
+
+async function handleSetChapterOrder({ chatId, order }) {
+    if (!vectorStore) { error('Worker is not initialized.'); return; }
+    try {
+        const { activeCollection } = await getOrCreateCollections(chatId);
+        await activeCollection.modify({ metadata: { chapter_order: order } });
+    } catch (e) {
+        error(`Failed to store chapter order for chat ${chatId}: ${e.message}`);
+    }
+}
+
+// Vectors travel in exported files as base64 of their float32 bytes, which is far smaller than JSON numbers.
+function encodeEmbedding(vector) {
+    const bytes = new Uint8Array(Float32Array.from(vector).buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+function decodeEmbedding(encoded) {
+    const binary = atob(encoded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return Array.from(new Float32Array(bytes.buffer));
+}
+
+// Returns a chat's archived summaries so they can be carried inside an exported .nora file. With
+// includeEmbeddings, the active chunks and every vector are included too, tagged with the model name.
+async function handleExportMemory({ chatId, requestId, includeEmbeddings = false }) {
+    if (!vectorStore) { respondError(requestId, 'Worker is not initialized.'); return; }
+    try {
+        const { activeCollection, archiveCollection, embeddingModel } = await getOrCreateCollections(chatId, undefined, { embed: false });
+        const include = includeEmbeddings ? ['documents', 'metadatas', 'embeddings'] : ['documents', 'metadatas'];
+        const archive = await archiveCollection.get({ include });
+        if (!includeEmbeddings) { respond(requestId, { archive }); return; }
+
+        const active = await activeCollection.get({ include });
+        archive.embeddings = archive.embeddings.map(encodeEmbedding);
+        active.embeddings = active.embeddings.map(encodeEmbedding);
+        respond(requestId, { archive, active, embeddingModel });
+    } catch (e) {
+        error(`Failed to export memory for chat ${chatId}: ${e.message}`);
+        respondError(requestId, e.message);
+    }
+}
+
+// Restores memory from an imported .nora file. Precomputed vectors are only trusted when they were made
+// by the model the target collections use; otherwise archived summaries are re-embedded and the active chunks are
+// skipped, and the reply tells the main thread to re-index those passages the usual way.
+async function handleImportMemory({ chatId, requestId, archive, active, embeddingModel }) {
+    if (!embeddingPipeline || !vectorStore) { respondError(requestId, 'Worker is not initialized.'); return; }
+    try {
+        const { activeCollection, archiveCollection, embeddingModel: collectionModel } = await getOrCreateCollections(chatId);
+        const usePrecomputed = !!embeddingModel && embeddingModel === collectionModel;
+        if (embeddingModel && !usePrecomputed) log(`Imported vectors for chat ${chatId} were made with ${embeddingModel}, not ${collectionModel}; re-embedding.`);
+        const archiveEmbeddings = usePrecomputed && archive.embeddings ? archive.embeddings.map(decodeEmbedding) : undefined;
+        await archiveCollection.add({ ids: archive.ids, documents: archive.documents, metadatas: archive.metadatas, embeddings: archiveEmbeddings });
+
+        const usedEmbeddings = usePrecomputed && !!active && Array.isArray(active.embeddings) && active.embeddings.length === active.ids.length;
+        if (usedEmbeddings) {
+            await activeCollection.add({ ids: active.ids, documents: active.documents, metadatas: active.metadatas, embeddings: active.embeddings.map(decodeEmbedding) });
+        }
+        log(`Imported ${archive.ids.length} archived summaries${usedEmbeddings ? ` and ${active.ids.length} precomputed chunks` : ''} into chat ${chatId}.`);
+        respond(requestId, { imported: archive.ids.length, usedEmbeddings });
+        if (usedEmbeddings) runMaintenance(chatId);
+    } catch (e) {
+        error(`Failed to import memory for chat ${chatId}: ${e.message}`);
+        respondError(requestId, e.message);
+    }
+}
+
+async function handleCreateCollection({ chatId, embeddingModel }) {
     log(`Ensuring collections exist for new chat ${chatId}...`);
     try {
-        await getOrCreateCollections(chatId);
+        await getOrCreateCollections(chatId, embeddingModel);
         log(`Collections ready for chat ${chatId}.`);
     } catch (e) {
         error(`Failed to create collections for chat ${chatId}: ${e.message}`);
@@ -181,11 +712,13 @@ async function handleCreateCollection({ chatId }) {
 async function handleClearCollection({ chatId }) {
     log(`Clearing memory for chat ${chatId}...`);
     try {
+        await cancelReembedding(chatId);
+        const { embeddingModel } = await getOrCreateCollections(chatId);
         const activeCollectionName = `chat_${chatId}_active`;
         const archiveCollectionName = `chat_${chatId}_archive`;
-        await chromaClient.deleteCollection({ name: activeCollectionName });
-        await chromaClient.deleteCollection({ name: archiveCollectionName });
-        await getOrCreateCollections(chatId); // Re-create them empty
+        await vectorStore.deleteCollection({ name: activeCollectionName });
+        await vectorStore.deleteCollection({ name: archiveCollectionName });
+        await getOrCreateCollections(chatId, embeddingModel); // Re-create them empty, keeping the model
         log(`Memory cleared for chat ${chatId}.`);
     } catch (e) {
         try { await getOrCreateCollections(chatId); } catch (e2) {
@@ -197,10 +730,11 @@ async function handleClearCollection({ chatId }) {
 async function handleDeleteCollection({ chatId }) {
     log(`Deleting memory collections for chat ${chatId}...`);
     try {
+        await cancelReembedding(chatId);
         const activeCollectionName = `chat_${chatId}_active`;
         const archiveCollectionName = `chat_${chatId}_archive`;
-        await chromaClient.deleteCollection({ name: activeCollectionName });
-        await chromaClient.deleteCollection({ name: archiveCollectionName });
+        await vectorStore.deleteCollection({ name: activeCollectionName });
+        await vectorStore.deleteCollection({ name: archiveCollectionName });
         log(`Collections for chat ${chatId} deleted.`);
     } catch (e) {
         log(`Could not delete collections for chat ${chatId} (they may not have existed): ${e.message}`);
@@ -212,6 +746,13 @@ self.onmessage = (e) => {
     switch (type) {
         case 'add-to-memory': handleAddToMemory(payload); break;
         case 'get-context': handleGetContext(payload); break;
+        case 'reindex-message': handleReindexMessage(payload); break;
+        case 'clone-memory': handleCloneMemory(payload); break;
+        case 'forget-message': handleForgetMessage(payload); break;
+        case 'set-chapter-order': handleSetChapterOrder(payload); break;
+        case 'set-embedding-model': handleSetEmbeddingModel(payload); break;
+        case 'export-memory': handleExportMemory(payload); break;
+        case 'import-memory': handleImportMemory(payload); break;
         case 'create-collection': handleCreateCollection(payload); break;
         case 'clear-collection': handleClearCollection(payload); break;
         case 'delete-collection': handleDeleteCollection(payload); break;